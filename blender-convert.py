@@ -0,0 +1,116 @@
+"""
+Blender side of converter.js: converts the files listed in a job file.
+
+    blender --background --python blender-convert.py -- jobs.json
+
+jobs.json holds {"version": 1, "jobs": [{"input", "output", "inputFormat",
+"outputFormat", "options"}]}. Paths and export options arrive only as JSON
+data, never as Python source. Progress goes to stdout, one line per event:
+"JOB <n> START", then "JOB <n> DONE" or "JOB <n> ERROR <reason>".
+
+SCRIPT_VERSION must match BLENDER_SCRIPT_VERSION in converter.js; bump both
+when the job file changes.
+"""
+import json
+import os
+import sys
+
+import bpy
+
+SCRIPT_VERSION = 1
+
+
+def import_usd(src):
+    bpy.ops.wm.usd_import(filepath=src)
+
+
+def import_gltf(src):
+    bpy.ops.import_scene.gltf(filepath=src)
+
+
+def import_obj(src):
+    # Blender 3.2+; the .mtl and textures next to the .obj come along
+    bpy.ops.wm.obj_import(filepath=src)
+
+
+def import_fbx(src):
+    bpy.ops.import_scene.fbx(filepath=src)
+
+
+def export_gltf(dst, options, export_format):
+    args = {"filepath": dst, "export_format": export_format}
+    image_format = options.get("imageFormat")
+    if image_format:
+        args["export_image_format"] = image_format
+    if image_format == "WEBP":
+        args["export_image_add_webp"] = False
+    if options.get("imageQuality") is not None:
+        args["export_image_quality"] = options["imageQuality"]
+    if options.get("draco"):
+        args["export_draco_mesh_compression_enable"] = True
+        args["export_draco_mesh_compression_level"] = options.get("dracoLevel", 6)
+    bpy.ops.export_scene.gltf(**args)
+
+
+def export_glb(dst, options):
+    export_gltf(dst, options, "GLB")
+
+
+def export_gltf_separate(dst, options):
+    export_gltf(dst, options, "GLTF_SEPARATE")
+
+
+def export_usdz(dst, options):
+    # The .usdz extension makes Blender package the textures into the file
+    bpy.ops.wm.usd_export(filepath=dst)
+
+
+def export_fbx(dst, options):
+    bpy.ops.export_scene.fbx(
+        filepath=dst,
+        path_mode="COPY",
+        embed_textures=options.get("embedTextures", True),
+    )
+
+
+IMPORTERS = {
+    "usdz": import_usd,
+    "glb": import_gltf,
+    "gltf": import_gltf,
+    "obj": import_obj,
+    "fbx": import_fbx,
+}
+
+EXPORTERS = {
+    "glb": export_glb,
+    "gltf": export_gltf_separate,
+    "usdz": export_usdz,
+    "fbx": export_fbx,
+}
+
+
+def read_job_file():
+    args = sys.argv[sys.argv.index("--") + 1:] if "--" in sys.argv else []
+    if len(args) != 1:
+        sys.exit("Usage: blender --background --python blender-convert.py -- <jobs.json>")
+    with open(args[0], encoding="utf-8") as f:
+        job_file = json.load(f)
+    if job_file.get("version") != SCRIPT_VERSION:
+        sys.exit(f"Job file version {job_file.get('version')} does not match script version {SCRIPT_VERSION}")
+    return job_file["jobs"]
+
+
+def main():
+    for i, job in enumerate(read_job_file()):
+        print(f"JOB {i} START", flush=True)
+        try:
+            bpy.ops.wm.read_factory_settings(use_empty=True)
+            IMPORTERS[job["inputFormat"]](job["input"])
+            os.makedirs(os.path.dirname(job["output"]), exist_ok=True)
+            EXPORTERS[job["outputFormat"]](job["output"], job.get("options") or {})
+            print(f"JOB {i} DONE", flush=True)
+        except Exception as e:
+            print(f"JOB {i} ERROR " + str(e).replace("\n", " "), flush=True)
+
+
+main()
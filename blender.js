@@ -0,0 +1,219 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ENV_VAR = 'BLENDER_PATH';
+const CONFIG_FILE = path.join(__dirname, 'converter-config.json');
+const PREFLIGHT_TIMEOUT = 2 * 60 * 1000;
+const PREFLIGHT_MARKER = 'PREFLIGHT:';
+
+/**
+ * Blender discovery and preflight
+ *
+ * findBlender() looks, in order, at: an explicit path, the BLENDER_PATH
+ * environment variable, blenderPath in converter-config.json, blender on
+ * PATH, and the standard install locations for the platform. The first
+ * one found wins; { path, source } says where it came from. A path that was
+ * set explicitly but does not exist is an error, not skipped.
+ *
+ * preflightBlender() starts that Blender once, headless, and reports its
+ * version and whether it has USD support, so a batch fails up front instead
+ * of on every file.
+ */
+
+// Newest-first versioned install directories, e.g. "Blender 4.2", "blender-4.2.1-linux-x64"
+function versionedDirs(parent, pattern) {
+  try {
+    return fs.readdirSync(parent)
+      .filter(name => pattern.test(name))
+      .sort((a, b) => b.localeCompare(a, undefined, { numeric: true }))
+      .map(name => path.join(parent, name));
+  } catch {
+    return [];
+  }
+}
+
+function standardLocations(platform = process.platform, home = os.homedir()) {
+  if (platform === 'win32') {
+    const roots = [process.env.ProgramFiles || 'C:\\Program Files', process.env.LOCALAPPDATA].filter(Boolean);
+    return roots.flatMap(root => versionedDirs(path.win32.join(root, 'Blender Foundation'), /^Blender/i)
+      .map(dir => path.win32.join(dir, 'blender.exe')));
+  }
+  if (platform === 'darwin') {
+    return [
+      '/Applications/Blender.app/Contents/MacOS/Blender',
+      path.join(home, 'Applications/Blender.app/Contents/MacOS/Blender'),
+    ];
+  }
+  return [
+    '/usr/bin/blender',
+    '/usr/local/bin/blender',
+    '/snap/bin/blender',
+    '/var/lib/flatpak/exports/bin/org.blender.Blender',
+    path.join(home, '.local/share/flatpak/exports/bin/org.blender.Blender'),
+    ...['/opt', path.join(home, 'opt'), path.join(home, 'Applications')]
+      .flatMap(dir => versionedDirs(dir, /^blender/i).map(d => path.join(d, 'blender'))),
+    '/opt/blender/blender',
+  ];
+}
+
+function onPath(env, platform) {
+  const names = platform === 'win32'
+    ? (env.PATHEXT || '.EXE').split(';').filter(Boolean).map(ext => `blender${ext.toLowerCase()}`)
+    : ['blender'];
+  const dirs = (env.PATH || env.Path || '').split(platform === 'win32' ? ';' : ':').filter(Boolean);
+  for (const dir of dirs) {
+    for (const name of names) {
+      const candidate = path.join(dir, name);
+      if (isExecutable(candidate, platform)) return candidate;
+    }
+  }
+  return null;
+}
+
+function isExecutable(file, platform = process.platform) {
+  try {
+    if (!fs.statSync(file).isFile()) return false;
+    if (platform !== 'win32') fs.accessSync(file, fs.constants.X_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function readConfig(configFile) {
+  try {
+    if (configFile && fs.existsSync(configFile)) return JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not read ${configFile}: ${e.message}`);
+  }
+  return {};
+}
+
+/**
+ * Find Blender: { path, source } with source one of option, env, config,
+ * path or standard, or null when there is none
+ */
+function findBlender(options = {}) {
+  const {
+    blenderPath,
+    env = process.env,
+    configFile = CONFIG_FILE,
+    platform = process.platform,
+    locations = standardLocations(platform),
+  } = options;
+
+  // A path given explicitly (option, env or config) must exist; falling back
+  // to some other Blender would hide a typo
+  const explicit = [
+    ['option', blenderPath],
+    ['env', env[ENV_VAR]],
+    ['config', readConfig(configFile).blenderPath],
+  ];
+  for (const [source, candidate] of explicit) {
+    if (!candidate) continue;
+    if (isExecutable(candidate, platform)) return { path: candidate, source };
+    throw new Error(`Blender from ${describeSource(source, configFile)} not found or not executable: ${candidate}`);
+  }
+
+  const fromPath = onPath(env, platform);
+  if (fromPath) return { path: fromPath, source: 'path' };
+
+  const installed = locations.find(candidate => isExecutable(candidate, platform));
+  return installed ? { path: installed, source: 'standard' } : null;
+}
+
+function describeSource(source, configFile = CONFIG_FILE) {
+  return {
+    option: 'the blenderPath option',
+    env: `$${ENV_VAR}`,
+    config: `blenderPath in ${configFile}`,
+    path: 'PATH',
+    standard: 'a standard install location',
+  }[source];
+}
+
+// findBlender(), or an error that says how to point at Blender
+function requireBlender(options = {}) {
+  const found = findBlender(options);
+  if (found) return found;
+  throw new Error(
+    `Blender not found on PATH or in the standard install locations — set ${ENV_VAR}, ` +
+    `add "blenderPath" to ${options.configFile || CONFIG_FILE}, or put blender on PATH`,
+  );
+}
+
+const PREFLIGHT_SCRIPT = `
+import bpy, json
+usd = bool(getattr(bpy.app.build_options, "usd", False))
+try:
+    bpy.ops.wm.usd_import.get_rna_type()
+except Exception:
+    usd = False
+print("${PREFLIGHT_MARKER}" + json.dumps({"version": bpy.app.version_string, "usdImport": usd}))
+`;
+
+/**
+ * Start Blender headless once. Resolves { ok, path, version, usdImport,
+ * error }; ok means Blender started and answered, usdImport whether it can
+ * read and write USD. Never rejects.
+ */
+function preflightBlender(blenderPath, { timeout = PREFLIGHT_TIMEOUT } = {}) {
+  return new Promise((resolve) => {
+    const result = { ok: false, path: blenderPath, version: null, usdImport: false, error: null };
+    let output = '';
+    let proc;
+    try {
+      proc = spawn(blenderPath, ['--background', '--factory-startup', '--python-expr', PREFLIGHT_SCRIPT], {
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+    } catch (err) {
+      resolve({ ...result, error: `Failed to start Blender: ${err.message}` });
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      proc.kill();
+      resolve({ ...result, error: `Blender did not answer within ${timeout / 1000}s` });
+    }, timeout);
+    proc.stdout.on('data', (d) => { output += d.toString(); });
+    proc.stderr.on('data', (d) => { output += d.toString(); });
+    proc.on('error', (err) => {
+      clearTimeout(timer);
+      resolve({ ...result, error: `Failed to start Blender: ${err.message}` });
+    });
+    proc.on('close', (code) => {
+      clearTimeout(timer);
+      const line = output.split(/\r?\n/).find(l => l.startsWith(PREFLIGHT_MARKER));
+      if (!line) {
+        const last = output.trim().split(/\r?\n/).pop() || '';
+        resolve({ ...result, error: `Blender exited with code ${code} without answering${last ? `: ${last}` : ''}` });
+        return;
+      }
+      let info;
+      try {
+        info = JSON.parse(line.slice(PREFLIGHT_MARKER.length));
+      } catch {
+        resolve({ ...result, error: `Unreadable preflight answer: ${line}` });
+        return;
+      }
+      resolve({
+        ...result,
+        ok: true,
+        version: info.version,
+        usdImport: info.usdImport === true,
+      });
+    });
+  });
+}
+
+module.exports = {
+  findBlender,
+  requireBlender,
+  preflightBlender,
+  standardLocations,
+  describeSource,
+  ENV_VAR,
+  CONFIG_FILE,
+};
@@ -0,0 +1,558 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const CacheManager = require('./cache-manager');
+const AssetCache = require('./asset-cache');
+const { listProfiles, profileOptions, createProfile } = require('./profiles');
+const logger = require('./logger');
+
+const USAGE = `Usage: usdz-downloader <command> [options]
+
+Commands:
+  login             Open a browser window to log in and save the session
+  download          Download all creations, delete them from the server, convert GLBs
+  watch             Keep running: poll for new creations, download and convert them
+                    (Ctrl+C stops after the current poll)
+  convert           Convert GLBs already in the downloads directory; with --to, convert
+                    between formats instead (e.g. --from glb --to usdz). GLBs are read
+                    from the converted directory (the optimised library copies; the
+                    originals are removed after optimising), other formats from the
+                    downloads directory; results are written to the converted directory
+  conversions       List the format pairs convert --to supports and their backends
+  list              Print the creations on the account
+  status            Show local state, session and file counts
+  library list      Query the local library manifest (one line per creation/variant)
+  library export <json|csv>
+                    Export the library manifest (--output to write a file)
+  profiles list     Show the configured account profiles
+  profiles add <name>
+                    Create a profile (then: login --profile <name>)
+  cache clear       Remove cached page assets and metadata caches
+  cache stats       Show cache statistics
+  blender           Find Blender (for the conversions it runs) and check its version and
+                    USD support. Looks at --blender, $BLENDER_PATH, blenderPath in
+                    converter-config.json, PATH, then the standard install locations
+
+Options:
+  --profile <name>        Use a named account profile (own session, state, caches, output)
+  --all-profiles          download/status: run every profile in turn, with a summary per profile
+                          (with --dry-run, each profile's plan)
+  --downloads-dir <dir>   Where downloaded files are written (default: ./downloads)
+  --converted-dir <dir>   Where converted GLBs are written (default: ./converted)
+  --formats <list>        Comma-separated formats to download: glb, obj, mtl,
+                          geometryGlb, textureGlb (default: glb). obj also
+                          fetches its mtl and referenced textures
+  --provider <name>       Site to download from (default: hunyuan)
+  --url <url>             Assets page URL (default: the provider's)
+  --concurrency <n>       Parallel downloads overall (default: 4)
+  --per-host <n>          Parallel downloads per host (default: 2)
+  --pagination <mode>     How to fetch list pages beyond the first: auto (default),
+                          api (replay the list request), page (scroll the list)
+  --api                   Call the API directly with the saved session, no browser
+                          (run login first)
+  --headed                Show the browser window (runs are headless by default)
+  --headless              Accepted for older scripts; headless is now the default
+  --no-login-prompt       Fail instead of opening a login window when the session
+                          is missing or expired (for scheduled runs)
+  --delete-policy <p>     When to delete creations from the server: never,
+                          after-download (default), after-convert, after-days
+  --delete-after-days <n> Age in days for the after-days policy (default: 7)
+  --skip-delete           Same as --delete-policy never
+  --skip-convert          Do not convert GLBs after downloading
+  --blender <path>        Blender executable for conversions that use it
+  --from <format>         convert --to: input format (default: glb)
+  --to <format>           convert: output format: glb, gltf, usdz or fbx
+  --input-dir <dir>       convert --to: read inputs from here instead
+  --backend <name>        convert --to: gltf-transform or blender, where the pair has both
+  --workers <n>           convert --to: Blender processes to run side by side (default: 1)
+  --file-timeout <seconds>
+                          convert --to: longest Blender may take over one file (default: 600)
+  --preset <name>         GLB conversion preset: web-tiny (default; WebP q15, Draco,
+                          simplify), web-hq (WebP q85, meshopt) or archive (lossless)
+  --dry-run               Plan downloads and deletes without changing anything
+  --plan-file <file>      With --dry-run, also write the plan as JSON (with --all-profiles,
+                          every profile's plan keyed by name)
+  --interval <seconds>    watch: time between polls (default: 300)
+  --max-backoff <seconds> watch: longest wait after repeated failed polls (default: 3600)
+  --id <prefix,...>       Only creations whose id starts with one of these prefixes
+  --title <regex>         Only creations whose title matches (case-insensitive)
+  --exclude-title <regex> Leave out creations whose title matches
+  --since <when>          Only creations made at or after a date (2026-10-12), ISO time
+                          or age (7d, 12h)
+  --until <when>          Only creations made at or before (a plain date includes the day)
+  --min-variants <n>      Only creations with at least n successful variants
+  --order <order>         Work through creations in list (default), newest, oldest or
+                          title order
+  --limit <n>             At most n new creations per run (per poll when watching);
+                          creations already in the library do not count
+  --deleted               library: only creations deleted from the server
+  --on-server             library: only creations still on the server
+  --output <file>         library export: write to file instead of stdout
+  --json                  Print machine-readable output (list, status, dry-run, cache stats);
+                          log lines then go to stderr
+  --log-level <level>     Console log level: debug, info (default), warn, error, silent
+  --verbose               Same as --log-level debug (blocked/allowed requests, converter output)
+  --logs-dir <dir>        Where per-run JSON-lines logs are written (default: ./logs,
+                          or the profile's logs/)
+  --reports-dir <dir>     Where per-run JSON reports are written (default: ./reports,
+                          or the profile's reports/)
+  --report-html           Also write each run report as a self-contained HTML page
+  -h, --help              Show this help
+
+The selection options (--id to --limit) apply to download, watch and list;
+creations left out are neither downloaded nor deleted. --id and --title also
+filter library.
+`;
+
+const OPTIONS = {
+  profile: { type: 'string' },
+  'all-profiles': { type: 'boolean', default: false },
+  'downloads-dir': { type: 'string' },
+  'converted-dir': { type: 'string' },
+  formats: { type: 'string' },
+  url: { type: 'string' },
+  concurrency: { type: 'string' },
+  'per-host': { type: 'string' },
+  pagination: { type: 'string' },
+  provider: { type: 'string' },
+  'log-level': { type: 'string' },
+  verbose: { type: 'boolean', default: false },
+  'logs-dir': { type: 'string' },
+  'reports-dir': { type: 'string' },
+  'report-html': { type: 'boolean', default: false },
+  api: { type: 'boolean', default: false },
+  headed: { type: 'boolean', default: false },
+  // No effect: runs are headless unless --headed
+  headless: { type: 'boolean', default: false },
+  'no-login-prompt': { type: 'boolean', default: false },
+  'skip-delete': { type: 'boolean', default: false },
+  'delete-policy': { type: 'string' },
+  'delete-after-days': { type: 'string' },
+  'skip-convert': { type: 'boolean', default: false },
+  preset: { type: 'string' },
+  blender: { type: 'string' },
+  from: { type: 'string' },
+  'input-dir': { type: 'string' },
+  to: { type: 'string' },
+  backend: { type: 'string' },
+  workers: { type: 'string' },
+  'file-timeout': { type: 'string' },
+  'dry-run': { type: 'boolean', default: false },
+  'plan-file': { type: 'string' },
+  interval: { type: 'string' },
+  'max-backoff': { type: 'string' },
+  id: { type: 'string' },
+  title: { type: 'string' },
+  'exclude-title': { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  'min-variants': { type: 'string' },
+  order: { type: 'string' },
+  limit: { type: 'string' },
+  deleted: { type: 'boolean', default: false },
+  'on-server': { type: 'boolean', default: false },
+  output: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  return { command: positionals[0], args: positionals.slice(1), flags: values };
+}
+
+function positiveInt(value, flag) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`${flag} expects a whole number of at least 1, got "${value}"`);
+  return n;
+}
+
+function seconds(value, flag) {
+  const n = Number(value);
+  if (!(n > 0)) throw new Error(`${flag} expects a number of seconds, got "${value}"`);
+  return n;
+}
+
+function splitList(value) {
+  return value ? value.split(',').map(v => v.trim()).filter(Boolean) : undefined;
+}
+
+// Undefined when no selection flag is given, so profile.json can set one
+function selectionOptions(flags) {
+  const selection = {
+    ids: splitList(flags.id),
+    title: flags.title,
+    excludeTitle: flags['exclude-title'],
+    since: flags.since,
+    until: flags.until,
+    minVariants: flags['min-variants'],
+    order: flags.order,
+    limit: flags.limit,
+  };
+  return Object.values(selection).some(v => v !== undefined) ? selection : undefined;
+}
+
+// Flags left unset stay undefined so a profile's profile.json can supply them
+function downloaderOptions(flags, profile = flags.profile) {
+  const options = {
+    downloadsDir: flags['downloads-dir'] && path.resolve(flags['downloads-dir']),
+    convertedDir: flags['converted-dir'] && path.resolve(flags['converted-dir']),
+    formats: splitList(flags.formats),
+    provider: flags.provider,
+    websiteUrl: flags.url,
+    concurrency: flags.concurrency && positiveInt(flags.concurrency, '--concurrency'),
+    perHostConcurrency: flags['per-host'] && positiveInt(flags['per-host'], '--per-host'),
+    pagination: flags.pagination,
+    mode: flags.api ? 'api' : undefined,
+    headless: flags.headed ? false : undefined,
+    interactiveLogin: !flags['no-login-prompt'] && process.stdin.isTTY === true,
+    skipDelete: flags['skip-delete'] || undefined,
+    deletePolicy: flags['delete-policy'],
+    deleteAfterDays: flags['delete-after-days'],
+    skipConvert: flags['skip-convert'] || undefined,
+    convertPreset: flags.preset,
+    dryRun: flags['dry-run'],
+    watchInterval: flags.interval && seconds(flags.interval, '--interval') * 1000,
+    watchMaxBackoff: flags['max-backoff'] && seconds(flags['max-backoff'], '--max-backoff') * 1000,
+    selection: selectionOptions(flags),
+    logsDir: flags['logs-dir'] && path.resolve(flags['logs-dir']),
+    reportsDir: flags['reports-dir'] && path.resolve(flags['reports-dir']),
+    htmlReport: flags['report-html'] || undefined,
+  };
+  return profile ? profileOptions(profile, options) : options;
+}
+
+// Run fn once per profile, carrying on past failures, then summarise. With
+// --json the banners and summary go to stderr, leaving stdout to the caller.
+async function forEachProfile(fn, { json = false } = {}) {
+  const profiles = listProfiles();
+  if (profiles.length === 0) throw new Error('No profiles configured — add one with "usdz-downloader profiles add <name>"');
+  const out = json ? console.error : console.log;
+
+  const results = [];
+  for (const name of profiles) {
+    out(`\n${'#'.repeat(60)}\n# Profile: ${name}\n${'#'.repeat(60)}`);
+    try {
+      results.push({ profile: name, ok: true, summary: await fn(name) });
+    } catch (err) {
+      logger.child({ component: 'Profile', profile: name }).error(`✗ ${name}: ${err.message}`, { error: err });
+      results.push({ profile: name, ok: false, error: err.message });
+    }
+  }
+
+  out('\n' + '═'.repeat(60));
+  out('  PROFILES');
+  out('═'.repeat(60));
+  for (const r of results) {
+    const s = r.summary || {};
+    // A dry run's summary is its plan
+    const detail = !r.ok
+      ? `FAILED: ${r.error}`
+      : s.totals
+        ? `${s.totals.creations} creation(s), ${s.totals.toDownload} file(s) to download, ${s.totals.toDelete} to delete`
+        : `${s.assetsProcessed ?? '-'} processed, ${s.filesDownloaded ?? '-'} files, ${s.assetsDeleted ?? '-'} deleted`;
+    out(`  ${r.profile.padEnd(20)} ${detail}`);
+  }
+  out('═'.repeat(60));
+
+  if (results.some(r => !r.ok)) process.exitCode = 1;
+  return results;
+}
+
+function formatBytes(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function printPlan(plan) {
+  for (const creation of plan.creations) {
+    console.log(`\n${creation.title} (${creation.id})${creation.wouldDelete ? '  [would delete]' : ''}`);
+    for (const file of creation.files) {
+      const size = file.action === 'exists'
+        ? `exists, ${formatBytes(file.existingSize)}`
+        : file.remoteBytes === null ? 'size unknown' : formatBytes(file.remoteBytes);
+      console.log(`  ${file.action.padEnd(8)} v${file.variant}/${file.format}  ${file.filename}  (${size})`);
+    }
+  }
+  const t = plan.totals;
+  console.log(`\n${t.creations} creation(s): ${t.toDownload} file(s) to download, ${t.existing} already present, ${t.toDelete} to delete`);
+  console.log(`Estimated download: ${formatBytes(t.estimatedBytes)}${t.unknownSizes ? ` (+${t.unknownSizes} file(s) of unknown size)` : ''}`);
+}
+
+// --plan-file and --json output of a dry run
+function writePlan(plan, flags) {
+  if (flags['plan-file']) {
+    fs.writeFileSync(path.resolve(flags['plan-file']), JSON.stringify(plan, null, 2), 'utf8');
+    logger.child({ component: 'Plan' }).info(`✓ Written to ${flags['plan-file']}`);
+  }
+  if (flags.json) console.log(JSON.stringify(plan, null, 2));
+}
+
+function print(value, asJson) {
+  if (asJson) {
+    console.log(JSON.stringify(value, null, 2));
+    return;
+  }
+  for (const [key, val] of Object.entries(value)) {
+    console.log(`${key.padEnd(20)} ${typeof val === 'object' && val !== null ? JSON.stringify(val) : val}`);
+  }
+}
+
+const commands = {
+  async login(flags) {
+    const OptimizedDownloader = require('./downloader');
+    await new OptimizedDownloader(downloaderOptions(flags)).session.login();
+  },
+
+  async download(flags) {
+    const OptimizedDownloader = require('./downloader');
+    if (flags['all-profiles']) {
+      // Dry run: print each profile's plan as it is made; --json and
+      // --plan-file get every plan, keyed by profile name
+      const plans = {};
+      await forEachProfile(async (name) => {
+        const result = await new OptimizedDownloader(downloaderOptions(flags, name)).run();
+        if (flags['dry-run']) {
+          plans[name] = result;
+          if (!flags.json) printPlan(result);
+        }
+        return result;
+      }, { json: flags.json });
+      if (flags['dry-run']) writePlan(plans, flags);
+      return;
+    }
+    const result = await new OptimizedDownloader(downloaderOptions(flags)).run();
+    if (!flags['dry-run']) return;
+
+    writePlan(result, flags);
+    if (!flags.json) printPlan(result);
+  },
+
+  async watch(flags) {
+    const OptimizedDownloader = require('./downloader');
+    const downloader = new OptimizedDownloader(downloaderOptions(flags));
+
+    // First signal: finish the poll in progress and exit cleanly; second: exit now
+    let stopping = false;
+    const onSignal = (signal) => {
+      if (stopping) process.exit(130);
+      stopping = true;
+      logger.child({ component: 'Watch' }).info(`${signal} received — press Ctrl+C again to exit immediately`);
+      downloader.stopWatching();
+    };
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+    try {
+      const totals = await downloader.watch();
+      if (flags.json) console.log(JSON.stringify(totals, null, 2));
+    } finally {
+      process.off('SIGINT', onSignal);
+      process.off('SIGTERM', onSignal);
+    }
+  },
+
+  async convert(flags) {
+    const OptimizedDownloader = require('./downloader');
+    const downloader = new OptimizedDownloader(downloaderOptions(flags));
+    if (!flags.to) {
+      await downloader.convertDownloadedGlbs();
+      return;
+    }
+
+    const AssetConverter = require('./converter');
+    const from = flags.from || 'glb';
+    // Optimising replaces each downloaded GLB with its copy in convertedDir
+    const inputDir = flags['input-dir']
+      ? path.resolve(flags['input-dir'])
+      : from === 'glb' ? downloader.convertedDir : downloader.downloadsDir;
+    const converter = new AssetConverter({
+      blenderPath: flags.blender,
+      downloadsDir: inputDir,
+      outputDir: downloader.convertedDir,
+      backends: flags.backend && { [`${from}->${flags.to}`]: flags.backend },
+      workers: flags.workers && positiveInt(flags.workers, '--workers'),
+      fileTimeout: flags['file-timeout'] && seconds(flags['file-timeout'], '--file-timeout') * 1000,
+    });
+    const result = await converter.convert(from, flags.to);
+    if (result.failed.length > 0) process.exitCode = 1;
+  },
+
+  conversions(flags) {
+    const AssetConverter = require('./converter');
+    const conversions = AssetConverter.listConversions();
+    if (flags.json) {
+      print(conversions, true);
+      return;
+    }
+    for (const c of conversions) {
+      console.log(`${`${c.from} → ${c.to}`.padEnd(14)} ${c.backends.join(', ')}`);
+    }
+  },
+
+  async list(flags) {
+    const OptimizedDownloader = require('./downloader');
+    const assets = await new OptimizedDownloader(downloaderOptions(flags)).listAssets();
+    if (flags.json) {
+      console.log(JSON.stringify(assets, null, 2));
+      return;
+    }
+    for (const asset of assets) {
+      console.log(`${asset.id}  ${String(asset.result.length).padStart(2)} variant(s)  ${asset.title}`);
+    }
+    console.log(`\n${assets.length} creation(s)`);
+  },
+
+  async status(flags) {
+    if (flags['all-profiles']) {
+      for (const name of listProfiles()) {
+        console.log(`\n[${name}]`);
+        await commands.status({ ...flags, 'all-profiles': false, profile: name });
+      }
+      return;
+    }
+
+    const OptimizedDownloader = require('./downloader');
+    const downloader = new OptimizedDownloader(downloaderOptions(flags));
+    print({
+      processedCount: downloader.state.processedCount,
+      lastProcessed: downloader.state.lastProcessedTimestamp,
+      libraryCreations: downloader.manifest.entries().length,
+      deletedFromServer: downloader.manifest.entries().filter(e => e.deletion.status === 'deleted').length,
+      session: downloader.session.status(),
+      downloadsDir: downloader.downloadsDir,
+      downloadedGlbs: OptimizedDownloader.listFiles(downloader.downloadsDir, '.glb').length,
+      convertedDir: downloader.convertedDir,
+      convertedGlbs: OptimizedDownloader.listFiles(downloader.convertedDir, '.glb').length,
+    }, flags.json);
+  },
+
+  async library(flags, args) {
+    const OptimizedDownloader = require('./downloader');
+    const { manifest } = new OptimizedDownloader(downloaderOptions(flags));
+    const filter = {
+      id: splitList(flags.id),
+      title: flags.title,
+      deletionStatus: flags.deleted ? 'deleted' : flags['on-server'] ? 'on-server' : undefined,
+    };
+    const [action, format] = args;
+
+    if (action === 'list' || action === undefined) {
+      const rows = manifest.query(filter);
+      if (flags.json) {
+        console.log(JSON.stringify(rows, null, 2));
+        return;
+      }
+      for (const row of rows) {
+        const size = row.files.reduce((sum, f) => sum + f.size, 0);
+        const converted = row.files.some(f => f.convertedPath) ? 'converted' : '';
+        console.log(`${row.creationId}  v${row.variant}  ${row.deletionStatus.padEnd(13)} ${formatBytes(size).padStart(10)}  ${converted.padEnd(9)}  ${row.title}`);
+      }
+      console.log(`\n${rows.length} variant(s)`);
+      return;
+    }
+    if (action === 'export') {
+      const output = manifest.export(format || 'json', filter);
+      if (flags.output) {
+        fs.writeFileSync(path.resolve(flags.output), output, 'utf8');
+        logger.child({ component: 'Library' }).info(`✓ Exported to ${flags.output}`);
+      } else {
+        process.stdout.write(output);
+      }
+      return;
+    }
+    throw new Error(`Unknown library action "${action}" (expected list or export)`);
+  },
+
+  async profiles(flags, args) {
+    const [action, name] = args;
+    if (action === 'list' || action === undefined) {
+      const profiles = listProfiles();
+      if (flags.json) {
+        console.log(JSON.stringify(profiles));
+      } else {
+        profiles.forEach(p => console.log(p));
+        if (profiles.length === 0) console.log('No profiles configured');
+      }
+      return;
+    }
+    if (action === 'add') {
+      const dir = createProfile(name);
+      const log = logger.child({ component: 'Profile', profile: name });
+      log.info(`✓ Created ${dir}`);
+      log.info(`Log in with: usdz-downloader login --profile ${name}`);
+      return;
+    }
+    throw new Error(`Unknown profiles action "${action}" (expected list or add)`);
+  },
+
+  async blender(flags) {
+    const AssetConverter = require('./converter');
+    const result = await new AssetConverter({ blenderPath: flags.blender, verbose: false }).preflight();
+    print({
+      ok: result.ok,
+      path: result.path,
+      source: result.source,
+      version: result.version,
+      usdImport: result.usdImport,
+      ...(result.error && { error: result.error }),
+      ...(result.ok && !result.usdImport && { warning: `Blender ${result.version} was built without USD support; USDZ conversions will fail` }),
+    }, flags.json);
+    if (!result.ok) process.exitCode = 1;
+  },
+
+  async cache(flags, args) {
+    const action = args[0];
+    const cacheDir = flags.profile ? downloaderOptions(flags).cacheDir : __dirname;
+    const cache = new CacheManager(cacheDir);
+    const assetCache = new AssetCache(cacheDir);
+
+    if (action === 'clear') {
+      cache.clearAll();
+      assetCache.clear();
+      logger.child({ component: 'Cache' }).info('✓ Cleared');
+      return;
+    }
+    if (action === 'stats') {
+      const statsPath = path.join(cacheDir, 'cache-stats.json');
+      const lastRun = fs.existsSync(statsPath) ? JSON.parse(fs.readFileSync(statsPath, 'utf8')) : null;
+      print({ assets: assetCache.getStats(), lastRun }, flags.json);
+      return;
+    }
+    throw new Error(`Unknown cache action "${action || ''}" (expected clear or stats)`);
+  },
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  const { command, args, flags } = parsed;
+  if (flags.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Keep stdout clean for --json output; log lines go to stderr instead
+  logger.configure({
+    level: flags['log-level'] || (flags.verbose ? 'debug' : 'info'),
+    ...(flags.json && { stream: process.stderr }),
+  });
+
+  const handler = commands[command];
+  if (!handler) {
+    console.error(`Unknown command "${command}"\n`);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  await handler(flags, args);
+}
+
+module.exports = { main, parseCliArgs };
@@ -1,24 +1,232 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { spawn } = require('child_process');
+const logger = require('./logger');
+const { requireBlender, preflightBlender, describeSource, CONFIG_FILE } = require('./blender');
+const { getIO } = require('./glb-optimizer');
+const { mapConcurrent } = require('./download-pool');
+
+const log = logger.child({ component: 'Converter' });
+const blenderLog = logger.child({ component: 'Blender' });
+
+/**
+ * Conversion registry
+ *
+ * Each input → output pair lists the backends that can do it, best first:
+ *   gltf-transform  in-process with the gltf-transform API
+ *   blender         Blender headless (see blender.js) running blender-convert.py
+ * The first one listed is used unless the `backends` option picks another
+ * for the pair, e.g. { 'glb->gltf': 'blender' }.
+ */
+const BACKENDS = ['gltf-transform', 'blender'];
+const CONVERSIONS = [
+  { from: 'usdz', to: 'glb', backends: ['blender'] },
+  { from: 'glb', to: 'usdz', backends: ['blender'] },
+  // The .mtl and textures next to the .obj are picked up by the importer
+  { from: 'obj', to: 'glb', backends: ['blender'] },
+  { from: 'glb', to: 'fbx', backends: ['blender'] },
+  // .gltf with a separate .bin and texture files, in a folder per model
+  { from: 'glb', to: 'gltf', backends: ['gltf-transform', 'blender'] },
+];
+// Kept apart so resetConversions() can undo registerConversion()
+const BUILT_IN_CONVERSIONS = CONVERSIONS.map(c => ({ ...c, backends: [...c.backends] }));
+
+// Formats gltf-transform reads and writes
+const GLTF_FORMATS = ['glb', 'gltf'];
+
+// The Blender side lives in blender-convert.py and reads its jobs from a
+// JSON file; the versions must match
+const BLENDER_SCRIPT = path.join(__dirname, 'blender-convert.py');
+const BLENDER_SCRIPT_VERSION = 1;
+const BLENDER_IMPORTS = ['usdz', 'glb', 'gltf', 'obj', 'fbx'];
+
+/**
+ * Blender export options per output format, and their defaults:
+ *   imageFormat   glTF textures: 'WEBP', 'JPEG', 'AUTO' (keep PNG/JPEG) or 'NONE'
+ *   imageQuality  0-100 for WebP and JPEG textures
+ *   draco         Draco mesh compression, at dracoLevel 0-10
+ *   embedTextures FBX: pack the textures into the file
+ */
+const EXPORT_OPTIONS = {
+  glb: { imageFormat: 'WEBP', imageQuality: 15, draco: true, dracoLevel: 6 },
+  gltf: { imageFormat: 'AUTO', imageQuality: 75, draco: false, dracoLevel: 6 },
+  usdz: {},
+  fbx: { embedTextures: true },
+};
+const IMAGE_FORMATS = ['WEBP', 'JPEG', 'AUTO', 'NONE'];
+
+/**
+ * The options a Blender export to `format` runs with: the defaults, then each
+ * set of overrides in turn. Throws on unknown options or bad values.
+ */
+function resolveExportOptions(format, ...overrides) {
+  const defaults = EXPORT_OPTIONS[format];
+  if (!defaults) throw new Error(`Blender cannot export ${format}`);
+  const options = Object.assign({}, defaults, ...overrides.filter(Boolean));
+
+  for (const [key, value] of Object.entries(options)) {
+    if (!Object.hasOwn(defaults, key)) {
+      const known = Object.keys(defaults);
+      throw new Error(`Unknown export option "${key}" for ${format}${known.length ? ` (expected ${known.join(', ')})` : ''}`);
+    }
+    const valid = {
+      imageFormat: () => IMAGE_FORMATS.includes(value),
+      imageQuality: () => Number.isInteger(value) && value >= 0 && value <= 100,
+      dracoLevel: () => Number.isInteger(value) && value >= 0 && value <= 10,
+      draco: () => typeof value === 'boolean',
+      embedTextures: () => typeof value === 'boolean',
+    }[key];
+    if (!valid()) throw new Error(`Invalid ${format} export option ${key}: ${JSON.stringify(value)}`);
+  }
+  return options;
+}
+
+const DEFAULT_FILE_TIMEOUT = 10 * 60 * 1000;
+
+// Progress lines blender-convert.py prints: "JOB 3 START", "JOB 3 DONE", "JOB 3 ERROR <reason>"
+const JOB_LINE = /^JOB (\d+) (START|DONE|ERROR)(?: (.*))?$/;
+
+const pairKey = (from, to) => `${from}->${to}`;
+
+function findConversion(from, to) {
+  return CONVERSIONS.find(c => c.from === from && c.to === to) || null;
+}
+
+// Every pair with its backends, best first
+function listConversions() {
+  return CONVERSIONS.map(c => ({ from: c.from, to: c.to, backends: [...c.backends] }));
+}
+
+/**
+ * Add a pair, or replace the backends of one already listed. Throws when a
+ * backend cannot read `from` or write `to`.
+ */
+function registerConversion(from, to, backends) {
+  if (!Array.isArray(backends) || backends.length === 0) {
+    throw new Error(`No backends given for ${pairKey(from, to)}`);
+  }
+  for (const backend of backends) {
+    if (!BACKENDS.includes(backend)) {
+      throw new Error(`Unknown conversion backend "${backend}" (expected ${BACKENDS.join(', ')})`);
+    }
+    const handles = backend === 'blender'
+      ? BLENDER_IMPORTS.includes(from) && to in EXPORT_OPTIONS
+      : GLTF_FORMATS.includes(from) && GLTF_FORMATS.includes(to);
+    if (!handles) throw new Error(`${backend} cannot convert ${from} to ${to}`);
+  }
+  const existing = findConversion(from, to);
+  if (existing) existing.backends = [...backends];
+  else CONVERSIONS.push({ from, to, backends: [...backends] });
+}
+
+// Back to the built-in pairs and backends
+function resetConversions() {
+  CONVERSIONS.splice(0, CONVERSIONS.length, ...BUILT_IN_CONVERSIONS.map(c => ({ ...c, backends: [...c.backends] })));
+}
+
+// Files under dir (recursively) ending in one of `formats`, relative to dir
+// and sorted; the skipDir subtree is left out
+function findFiles(dir, formats, skipDir = null) {
+  const found = [];
+  const walk = (rel) => {
+    for (const entry of fs.readdirSync(path.join(dir, rel), { withFileTypes: true })) {
+      const child = rel ? path.join(rel, entry.name) : entry.name;
+      if (entry.isDirectory()) {
+        if (path.join(dir, child) !== skipDir) walk(child);
+      } else if (formats.some(format => entry.name.toLowerCase().endsWith(`.${format}`))) {
+        found.push(child);
+      }
+    }
+  };
+  walk('');
+  return found.sort();
+}
+
+function writeAtomic(filePath, data) {
+  const tempPath = filePath + '.tmp';
+  fs.writeFileSync(tempPath, data);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * What convert() resolves besides the backend: every input gets a result
+ * { input, output, status: 'converted'|'failed'|'timed-out', error, durationMs };
+ * `failed` holds the ones that were not converted.
+ */
+function summarize(results) {
+  const converted = results.filter(r => r.status === 'converted');
+  return {
+    converted: converted.length,
+    files: converted.map(r => describeFile(r.output)),
+    failed: results.filter(r => r.status !== 'converted'),
+    results,
+  };
+}
+
+function describeFile(filePath) {
+  const stat = fs.statSync(filePath);
+  return {
+    path: filePath,
+    filename: path.basename(filePath),
+    size: stat.size,
+    sizeMB: (stat.size / 1024 / 1024).toFixed(2),
+  };
+}
 
 class AssetConverter {
   constructor(options = {}) {
-    this.blenderPath = options.blenderPath || 'C:\\Program Files\\Blender Foundation\\Blender 5.0\\blender.exe';
+    // Found on first use (see blender.js) unless given here
+    this.blenderPath = options.blenderPath || null;
+    this.blenderSource = null;
+    this.configFile = options.configFile || CONFIG_FILE;
+    this.preflightResult = null;
     this.downloadsDir = options.downloadsDir || path.join(__dirname, 'downloads');
     this.outputDir = options.outputDir || path.join(this.downloadsDir, 'converted');
-    this.tempScriptDir = path.join(__dirname, 'converter-script');
     this.verbose = options.verbose !== false;
+    // Backend per pair, overriding the registry's first choice: { 'glb->gltf': 'blender' }
+    this.backends = options.backends || {};
+    // Blender export options per output format, over EXPORT_OPTIONS: { glb: { imageQuality: 80 } }
+    this.exportOptions = options.exportOptions || {};
+    // Blender processes run side by side, and how long one file may take
+    // before its process is killed and the rest of its files go to a new one
+    this.workers = options.workers === undefined ? 1 : Number(options.workers);
+    if (!Number.isInteger(this.workers) || this.workers < 1) {
+      throw new Error(`workers must be a positive whole number, got ${JSON.stringify(options.workers)}`);
+    }
+    this.fileTimeout = Number(options.fileTimeout) || DEFAULT_FILE_TIMEOUT;
   }
 
-  async convert(inputFormat, outputFormat) {
-    if (inputFormat === 'usdz' && outputFormat === 'glb') {
-      return this.convertUSdzToGlb();
+  static listConversions() {
+    return listConversions();
+  }
+
+  // The backend for a pair; throws when the pair, or the backend picked for it, is not supported
+  chooseBackend(inputFormat, outputFormat) {
+    const conversion = findConversion(inputFormat, outputFormat);
+    if (!conversion) {
+      const supported = CONVERSIONS.map(c => `${c.from} → ${c.to}`).join(', ');
+      throw new Error(`Conversion from ${inputFormat} to ${outputFormat} not supported (supported: ${supported})`);
+    }
+    const picked = this.backends[pairKey(inputFormat, outputFormat)];
+    if (!picked) return conversion.backends[0];
+    if (!conversion.backends.includes(picked)) {
+      throw new Error(`Backend "${picked}" cannot convert ${inputFormat} to ${outputFormat} (available: ${conversion.backends.join(', ')})`);
     }
-    throw new Error(`Conversion from ${inputFormat} to ${outputFormat} not supported`);
+    return picked;
   }
 
-  async convertUSdzToGlb() {
+  /**
+   * Convert every <inputFormat> file under the downloads directory, keeping
+   * its subdirectory under the output directory. Resolves { converted, files,
+   * failed, results, backend } with a result for every input (see summarize()).
+   * `exportOptions` adjusts this batch's Blender export options.
+   */
+  async convert(inputFormat, outputFormat, { exportOptions } = {}) {
+    const backend = this.chooseBackend(inputFormat, outputFormat);
+    const options = backend === 'blender'
+      ? resolveExportOptions(outputFormat, this.exportOptions[outputFormat], exportOptions)
+      : null;
     const inputDir = this.downloadsDir;
     const outputDir = this.outputDir;
 
@@ -31,159 +239,283 @@ class AssetConverter {
       this.log(`Created output directory: ${outputDir}`);
     }
 
-    const usdzFiles = fs.readdirSync(inputDir)
-      .filter(f => f.endsWith('.usdz'))
-      .map(f => path.join(inputDir, f));
-
-    if (usdzFiles.length === 0) {
-      this.log('No USDZ files found to convert');
-      return { converted: 0, files: [] };
+    const jobs = this.findInputs(inputFormat).map(rel => ({
+      input: path.join(inputDir, rel),
+      output: this.outputPathFor(rel, outputFormat),
+      inputFormat,
+      outputFormat,
+      options,
+    }));
+
+    if (jobs.length === 0) {
+      this.log(`No ${inputFormat.toUpperCase()} files found to convert`);
+      return { ...summarize([]), backend };
     }
 
-    this.log(`Found ${usdzFiles.length} USDZ files to convert`);
+    this.log(`Found ${jobs.length} ${inputFormat.toUpperCase()} files to convert to ${outputFormat.toUpperCase()} (${backend})`);
 
-    const pythonScript = this.generateBlenderScript(usdzFiles, outputDir);
-    const tempScriptPath = path.join(__dirname, 'converter-temp-script.py');
-
-    try {
-      fs.writeFileSync(tempScriptPath, pythonScript);
-      return await this.executeBlenderConversion(tempScriptPath);
-    } finally {
-      if (fs.existsSync(tempScriptPath)) {
-        fs.unlinkSync(tempScriptPath);
-      }
-    }
+    const result = backend === 'blender'
+      ? await this.convertWithBlender(jobs)
+      : await this.convertWithGltfTransform(jobs, outputFormat);
+    return { ...result, backend };
   }
 
-  generateBlenderScript(usdzFiles, outputDir) {
-    const filesList = usdzFiles.map(f => `"${f.replace(/\\/g, '\\\\')}"`)
-      .join(', ');
+  async convertUSdzToGlb() {
+    return this.convert('usdz', 'glb');
+  }
 
-    return `import bpy
-import sys
-import os
+  // Input files under the downloads directory, relative to it; the output directory is skipped
+  findInputs(format) {
+    return findFiles(this.downloadsDir, [format], this.outputDir);
+  }
 
-output_dir = "${outputDir.replace(/\\/g, '\\\\')}"
-os.makedirs(output_dir, exist_ok=True)
+  // Same place under the output directory; glTF gets a folder of its own for its side files
+  outputPathFor(relPath, format) {
+    const base = relPath.slice(0, -path.extname(relPath).length);
+    return format === 'gltf'
+      ? path.join(this.outputDir, base, `${path.basename(base)}.gltf`)
+      : path.join(this.outputDir, `${base}.${format}`);
+  }
 
-usdz_files = [${filesList}]
+  async convertWithGltfTransform(jobs, outputFormat) {
+    const io = await getIO();
+    const results = [];
+
+    for (const job of jobs) {
+      const started = Date.now();
+      try {
+        const document = await io.read(job.input);
+        document.setLogger({
+          debug: message => log.debug(message),
+          info: message => log.debug(message),
+          warn: message => log.warn(message),
+          error: message => log.error(message),
+        });
+        fs.mkdirSync(path.dirname(job.output), { recursive: true });
+
+        // Side files first, so a .gltf on disk always has what it points at
+        if (outputFormat === 'glb') {
+          writeAtomic(job.output, await io.writeBinary(document));
+        } else {
+          const { json, resources } = await io.writeJSON(document, {
+            format: 'gltf',
+            basename: path.basename(job.output, '.gltf'),
+          });
+          for (const [uri, data] of Object.entries(resources)) {
+            writeAtomic(path.join(path.dirname(job.output), uri), data);
+          }
+          writeAtomic(job.output, JSON.stringify(json, null, 2));
+        }
 
-for usdz_path in usdz_files:
-    name = os.path.splitext(os.path.basename(usdz_path))[0]
-    glb_path = os.path.join(output_dir, name + ".glb")
+        results.push(this.jobResult(job, 'converted', started));
+      } catch (err) {
+        results.push(this.jobResult(job, 'failed', started, err.message));
+      }
+    }
 
-    try:
-        bpy.ops.wm.read_factory_settings(use_empty=True)
-        bpy.ops.wm.usd_import(filepath=usdz_path)
+    this.log(`Conversion complete: ${results.filter(r => r.status === 'converted').length} files created`);
+    return summarize(results);
+  }
 
-        bpy.ops.export_scene.gltf(
-            filepath=glb_path,
-            export_format='GLB',
-            export_image_format='WEBP',
-            export_image_add_webp=False,
-            export_image_quality=15,
-            export_draco_mesh_compression_enable=True,
-            export_draco_mesh_compression_level=6,
-        )
-        print(f"DONE: {glb_path}")
-    except Exception as e:
-        print(f"ERROR converting {usdz_path}: {str(e)}")
-`;
+  // One input's result, logged as it is known
+  jobResult(job, status, started, error = null) {
+    const result = { input: job.input, output: job.output, status, error, durationMs: Date.now() - started };
+    if (status === 'converted') this.log(`✓ ${path.relative(this.outputDir, job.output)}`);
+    else log.error(`✗ ${status === 'timed-out' ? 'Timed out converting' : 'Failed to convert'} ${job.input}${error ? `: ${error}` : ''}`);
+    return result;
   }
 
-  async executeBlenderConversion(scriptPath) {
-    return new Promise((resolve, reject) => {
-      const args = ['--background', '--python', scriptPath];
+  /**
+   * Jobs are { input, output, inputFormat, outputFormat, options }; each
+   * carries its own export options into the job file.
+   */
+  async convertWithBlender(jobs) {
+    const blender = await this.preflight();
+    if (!blender.ok) {
+      throw new Error(`Blender preflight failed: ${blender.error}`);
+    }
+    if (jobs.some(job => job.inputFormat === 'usdz' || job.outputFormat === 'usdz') && !blender.usdImport) {
+      throw new Error(`Blender preflight failed: Blender ${blender.version} was built without USD support`);
+    }
+
+    // Files are dealt round-robin to the workers; each runs its share in one
+    // Blender process, starting a new one after a file times out or crashes it
+    const lanes = Array.from({ length: Math.min(this.workers, jobs.length) },
+      (_, w) => jobs.filter((_, i) => i % this.workers === w));
+    const jobDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usdz-blender-'));
+    this.log(`Starting ${lanes.length} Blender worker(s), at most ${this.fileTimeout / 1000}s per file`);
+
+    try {
+      const byInput = new Map();
+      await mapConcurrent(lanes, lanes.length, async (lane, worker) => {
+        for (const result of await this.runBlenderWorker(lane, { worker, jobDir })) {
+          byInput.set(result.input, result);
+        }
+      });
+      const results = jobs.map(job => byInput.get(job.input));
+      this.log(`Conversion complete: ${results.filter(r => r.status === 'converted').length} files created`);
+      return summarize(results);
+    } finally {
+      fs.rmSync(jobDir, { recursive: true, force: true });
+    }
+  }
 
-      this.log(`Starting Blender conversion process...`);
-      this.log(`Blender: ${this.blenderPath}`);
+  async runBlenderWorker(jobs, { worker, jobDir }) {
+    const results = [];
+    let remaining = jobs;
+    for (let run = 1; remaining.length > 0; run++) {
+      const jobFile = path.join(jobDir, `worker${worker + 1}-${run}.json`);
+      this.writeJobFile(jobFile, remaining);
+      const finished = await this.runBlenderProcess(jobFile, remaining, worker);
+      results.push(...finished);
+      remaining = remaining.slice(finished.length);
+    }
+    return results;
+  }
 
-      const process = spawn(this.blenderPath, args, {
+  /**
+   * Run one Blender process over `jobs`. Resolves results for the jobs it got
+   * through, in order and at least one: when a file runs past fileTimeout the
+   * process is killed and that file timed out; when Blender exits mid-file,
+   * that file failed. Files it never reached are left to the next process.
+   */
+  runBlenderProcess(jobFile, jobs, worker) {
+    return new Promise((resolve) => {
+      const results = [];
+      const fields = { worker: worker + 1 };
+      let current = null;
+      let started = Date.now();
+      let timedOut = false;
+      let stderrTail = '';
+      let pending = '';
+
+      this.log(`Blender worker ${worker + 1}: ${jobs.length} file(s)`);
+      const proc = spawn(this.blenderPath, ['--background', '--python', BLENDER_SCRIPT, '--', jobFile], {
         stdio: ['ignore', 'pipe', 'pipe'],
         detached: false,
       });
 
-      let stdout = '';
-      let stderr = '';
+      let timer;
+      const arm = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          timedOut = true;
+          proc.kill('SIGKILL');
+        }, this.fileTimeout);
+      };
+      arm();
+
+      const onLine = (line) => {
+        const match = line.match(JOB_LINE);
+        if (!match) return;
+        const job = jobs[Number(match[1])];
+        if (!job) return;
+        if (match[2] === 'START') {
+          current = job;
+          started = Date.now();
+          arm();
+          return;
+        }
+        current = null;
+        if (match[2] === 'ERROR') {
+          results.push(this.jobResult(job, 'failed', started, match[3] || 'unknown error'));
+        } else if (fs.existsSync(job.output)) {
+          results.push(this.jobResult(job, 'converted', started));
+        } else {
+          results.push(this.jobResult(job, 'failed', started, 'Blender finished without writing the output'));
+        }
+      };
 
-      process.stdout.on('data', (data) => {
+      proc.stdout.on('data', (data) => {
         const text = data.toString();
-        stdout += text;
-        if (this.verbose && text.trim()) {
-          console.log(`[Blender] ${text.trim()}`);
-        }
+        this.logBlender(text, fields);
+        const lines = (pending + text).split(/\r?\n/);
+        pending = lines.pop();
+        lines.forEach(onLine);
       });
 
-      process.stderr.on('data', (data) => {
+      proc.stderr.on('data', (data) => {
         const text = data.toString();
-        stderr += text;
-        if (this.verbose && text.trim()) {
-          console.log(`[Blender Error] ${text.trim()}`);
-        }
+        stderrTail = (stderrTail + text).slice(-2000);
+        this.logBlender(text, { ...fields, stream: 'stderr' });
       });
 
-      const timeout = setTimeout(() => {
-        process.kill();
-        reject(new Error('Blender conversion timeout after 50 minutes'));
-      }, 50 * 60 * 1000);
-
-      process.on('close', (code) => {
-        clearTimeout(timeout);
-
-        const convertedFiles = this.parseBlenderOutput(stdout);
-
-        if (code === 0 || convertedFiles.length > 0) {
-          this.log(`Conversion complete: ${convertedFiles.length} files created`);
-          resolve({
-            converted: convertedFiles.length,
-            files: convertedFiles,
-            stdout,
-            stderr,
-          });
-        } else {
-          reject(new Error(`Blender process exited with code ${code}: ${stderr}`));
+      let settled = false;
+      const finish = (reason) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (pending) onLine(pending);
+        if (current) {
+          results.push(this.jobResult(current, timedOut ? 'timed-out' : 'failed', started,
+            timedOut ? `no result after ${this.fileTimeout / 1000}s` : reason));
+        } else if (results.length === 0) {
+          // Nothing started: every file shares the reason, rather than retrying forever
+          const why = timedOut ? `Blender did not start within ${this.fileTimeout / 1000}s` : reason;
+          jobs.forEach(job => results.push(this.jobResult(job, timedOut ? 'timed-out' : 'failed', started, why)));
         }
-      });
+        resolve(results);
+      };
 
-      process.on('error', (err) => {
-        clearTimeout(timeout);
-        reject(new Error(`Failed to start Blender: ${err.message}`));
+      proc.on('close', (code, signal) => {
+        const last = stderrTail.trim().split(/\r?\n/).pop();
+        finish(`Blender exited with ${signal ? `signal ${signal}` : `code ${code}`}${last ? `: ${last}` : ''}`);
       });
+
+      proc.on('error', (err) => finish(`Failed to start Blender: ${err.message}`));
     });
   }
 
-  parseBlenderOutput(output) {
-    const lines = output.split('\n');
-    const files = [];
-
-    lines.forEach(line => {
-      if (line.includes('DONE:')) {
-        const match = line.match(/DONE:\s*(.+)/);
-        if (match) {
-          const filePath = match[1].trim();
-          if (fs.existsSync(filePath)) {
-            const stat = fs.statSync(filePath);
-            files.push({
-              path: filePath,
-              filename: path.basename(filePath),
-              size: stat.size,
-              sizeMB: (stat.size / 1024 / 1024).toFixed(2),
-            });
-          }
-        }
-      }
-    });
+  // Locate Blender once; throws with setup hints when there is none
+  resolveBlender() {
+    if (!this.blenderSource) {
+      const found = requireBlender({ blenderPath: this.blenderPath, configFile: this.configFile });
+      this.blenderPath = found.path;
+      this.blenderSource = found.source;
+    }
+    return { path: this.blenderPath, source: this.blenderSource };
+  }
+
+  /**
+   * Check Blender before a batch: resolves { ok, path, source, version,
+   * usdImport, error }. The answer is kept for the converter's lifetime.
+   */
+  async preflight() {
+    if (this.preflightResult) return this.preflightResult;
+    let found;
+    try {
+      found = this.resolveBlender();
+    } catch (err) {
+      return { ok: false, path: null, source: null, version: null, usdImport: false, error: err.message };
+    }
 
-    return files;
+    const result = { ...(await preflightBlender(found.path)), source: found.source };
+    if (result.ok) {
+      this.log(`Blender ${result.version} (${found.path}, from ${describeSource(found.source, this.configFile)}) — USD ${result.usdImport ? 'available' : 'not available'}`);
+    } else {
+      log.warn(`✗ Blender preflight failed: ${result.error}`, { blenderPath: found.path });
+    }
+    this.preflightResult = result;
+    return result;
+  }
+
+  // The job file blender-convert.py reads
+  writeJobFile(jobFile, jobs) {
+    const data = {
+      version: BLENDER_SCRIPT_VERSION,
+      jobs: jobs.map(({ input, output, inputFormat, outputFormat, options }) => ({ input, output, inputFormat, outputFormat, options })),
+    };
+    writeAtomic(jobFile, JSON.stringify(data, null, 2));
   }
 
+  // Every output convert() can write, anywhere under the output directory; newest first
   getConvertedFiles() {
     if (!fs.existsSync(this.outputDir)) {
       return [];
     }
 
-    return fs.readdirSync(this.outputDir)
-      .filter(f => f.endsWith('.glb'))
+    const formats = [...new Set(CONVERSIONS.map(c => c.to))];
+    return findFiles(this.outputDir, formats)
       .map(f => {
         const fullPath = path.join(this.outputDir, f);
         const stat = fs.statSync(fullPath);
@@ -199,11 +531,24 @@ for usdz_path in usdz_files:
       .sort((a, b) => b.created - a.created);
   }
 
+  // Progress goes to the console only when verbose; the run log always has it
   log(message) {
-    if (this.verbose) {
-      console.log(`[Converter] ${message}`);
+    if (this.verbose) log.info(message);
+    else log.debug(message);
+  }
+
+  logBlender(text, fields) {
+    for (const line of text.split(/\r?\n/)) {
+      if (line.trim()) blenderLog.debug(line.trimEnd(), fields);
     }
   }
 }
 
 module.exports = AssetConverter;
+module.exports.listConversions = listConversions;
+module.exports.registerConversion = registerConversion;
+module.exports.resetConversions = resetConversions;
+module.exports.resolveExportOptions = resolveExportOptions;
+module.exports.BACKENDS = BACKENDS;
+module.exports.EXPORT_OPTIONS = EXPORT_OPTIONS;
+module.exports.BLENDER_SCRIPT_VERSION = BLENDER_SCRIPT_VERSION;
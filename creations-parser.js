@@ -0,0 +1,260 @@
+const { StringDecoder } = require('string_decoder');
+const logger = require('./logger');
+
+/**
+ * Streaming parser for creations/list response bodies
+ *
+ * Response shape:
+ *   { totalCount, creations: [{ id, title, createTime, result: [{ assetId, status, urlResult }] }] }
+ * (some responses carry the list as `data` instead of `creations`).
+ *
+ * Creations come out as { id, title, createdAt, result }, createdAt being
+ * epoch milliseconds (createTime may be seconds, milliseconds or a date
+ * string) or null when the entry has no usable time.
+ *
+ * The body is scanned incrementally and each creation is parsed and checked
+ * on its own as soon as its closing brace arrives, so one bad entry, or a
+ * body cut off part-way, costs only the entries affected. Entries that do
+ * not match the schema are reported in `errors` and left out; nothing is
+ * guessed, because a creation with the wrong URLs attached would be
+ * downloaded wrong and then deleted from the server.
+ *
+ * Only result variants with status 'success' are kept.
+ */
+
+const LIST_KEYS = ['creations', 'data'];
+const TOTAL_KEY = 'totalCount';
+// urlResult keys that hold model files; anything else in urlResult is left alone
+const MODEL_FORMATS = ['glb', 'obj', 'mtl', 'geometryGlb', 'textureGlb', 'usdz', 'fbx', 'stl'];
+const TIME_KEYS = ['createTime', 'createdAt', 'create_time', 'gmtCreate'];
+
+class CreationsListParser {
+  constructor() {
+    this.decoder = new StringDecoder('utf8');
+    this.creations = [];
+    this.errors = [];
+    this.totalCount = null;
+    this.foundList = false;
+
+    // Scanner state: open containers, string/escape flags, the root key
+    // being read and the text of the list element or totalCount in progress
+    this.stack = [];
+    this.inString = false;
+    this.escaped = false;
+    this.rootKey = null;
+    this.keyBuffer = null;
+    this.elementText = '';
+    this.elementIndex = 0;
+    this.totalText = null;
+    this.rootClosed = false;
+    this.badRoot = false;
+  }
+
+  write(chunk) {
+    const text = typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+    for (let i = 0; i < text.length && !this.badRoot; i++) this.scan(text[i]);
+    return this;
+  }
+
+  /**
+   * Finish parsing: { creations, totalCount, errors }
+   */
+  end() {
+    this.write(this.decoder.end());
+    if (this.badRoot) {
+      this.errors.push({ index: null, id: null, reason: 'response is not a JSON object' });
+    } else if (!this.rootClosed) {
+      const pending = this.elementText.trim();
+      if (this.inList() && pending) {
+        this.errors.push({ index: this.elementIndex, id: peekId(pending), reason: 'response truncated inside this entry' });
+      } else {
+        this.errors.push({ index: null, id: null, reason: 'response truncated' });
+      }
+    }
+    if (!this.foundList && !this.badRoot) {
+      this.errors.push({ index: null, id: null, reason: `no ${LIST_KEYS.join('/')} array in response` });
+    }
+    return { creations: this.creations, totalCount: this.totalCount, errors: this.errors };
+  }
+
+  inList() {
+    return this.stack.length >= 2 && this.stack[1].isList;
+  }
+
+  scan(ch) {
+    const depth = this.stack.length;
+    const collecting = this.inList() && !(depth === 2 && !this.inString && (ch === ',' || ch === ']'));
+    if (collecting) this.elementText += ch;
+    if (this.totalText !== null && depth === 1 && !this.inString && ch !== ',' && ch !== '}') this.totalText += ch;
+
+    if (this.inString) {
+      if (this.escaped) {
+        this.escaped = false;
+      } else if (ch === '\\') {
+        this.escaped = true;
+      } else if (ch === '"') {
+        this.inString = false;
+        if (this.keyBuffer !== null) {
+          this.rootKey = this.keyBuffer;
+          this.keyBuffer = null;
+        }
+      } else if (this.keyBuffer !== null) {
+        this.keyBuffer += ch;
+      }
+      return;
+    }
+
+    const top = this.stack[depth - 1];
+    switch (ch) {
+      case '"':
+        this.inString = true;
+        if (depth === 1 && top.expectKey) this.keyBuffer = '';
+        return;
+      case ':':
+        if (depth === 1) {
+          top.expectKey = false;
+          if (this.rootKey === TOTAL_KEY) this.totalText = '';
+        }
+        return;
+      case ',':
+        if (depth === 1) {
+          top.expectKey = true;
+          this.finishTotal();
+        } else if (depth === 2 && top.isList) {
+          this.finishElement();
+        }
+        return;
+      case '{':
+      case '[':
+        if (depth === 0 && ch === '[') {
+          this.badRoot = true;
+          return;
+        }
+        this.stack.push({
+          type: ch,
+          expectKey: ch === '{',
+          isList: depth === 1 && ch === '[' && LIST_KEYS.includes(this.rootKey) && !this.foundList,
+        });
+        if (this.stack[depth].isList) this.foundList = true;
+        return;
+      case '}':
+      case ']':
+        if (depth === 2 && top.isList) this.finishElement();
+        if (depth === 1) this.finishTotal();
+        this.stack.pop();
+        if (depth === 1) this.rootClosed = true;
+        return;
+      default:
+        if (depth === 0 && !/\s/.test(ch)) this.badRoot = true;
+    }
+  }
+
+  finishTotal() {
+    if (this.totalText === null) return;
+    const value = Number(this.totalText.trim());
+    if (Number.isInteger(value) && value >= 0) this.totalCount = value;
+    this.totalText = null;
+  }
+
+  finishElement() {
+    const text = this.elementText.trim();
+    this.elementText = '';
+    if (!text) return;
+    const index = this.elementIndex++;
+
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (err) {
+      this.errors.push({ index, id: peekId(text), reason: `invalid JSON: ${err.message}` });
+      return;
+    }
+
+    const checked = checkCreation(raw);
+    if (checked.error) {
+      this.errors.push({ index, id: raw && typeof raw.id === 'string' ? raw.id : null, reason: checked.error });
+      return;
+    }
+    this.creations.push(checked.creation);
+  }
+}
+
+/**
+ * Validate one list entry against the creation/result schema.
+ * Returns { creation } or { error }.
+ */
+function checkCreation(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'entry is not an object' };
+  if (typeof raw.id !== 'string' || !raw.id) return { error: 'missing id' };
+  if (raw.result !== undefined && raw.result !== null && !Array.isArray(raw.result)) {
+    return { error: 'result is not an array' };
+  }
+
+  const result = [];
+  for (const [i, variant] of (raw.result || []).entries()) {
+    if (!variant || typeof variant !== 'object') return { error: `result[${i}] is not an object` };
+    if (typeof variant.status !== 'string') return { error: `result[${i}] has no status` };
+    if (variant.status !== 'success') continue;
+
+    const urls = variant.urlResult;
+    if (!urls || typeof urls !== 'object' || Array.isArray(urls)) {
+      return { error: `result[${i}] succeeded but has no urlResult` };
+    }
+    for (const format of MODEL_FORMATS) {
+      const url = urls[format];
+      if (url !== undefined && url !== null && url !== '' && (typeof url !== 'string' || !/^https?:\/\//.test(url))) {
+        return { error: `result[${i}].urlResult.${format} is not a URL` };
+      }
+    }
+    result.push({ assetId: variant.assetId, status: variant.status, urlResult: urls });
+  }
+
+  const time = TIME_KEYS.map(key => raw[key]).find(value => value !== undefined && value !== null);
+  return { creation: { id: raw.id, title: raw.title || raw.name || raw.id, createdAt: parseTime(time), result } };
+}
+
+// Epoch ms from seconds, milliseconds or a date string; null if unreadable
+function parseTime(value) {
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) value = Number(value);
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value <= 0) return null;
+    return value < 1e11 ? value * 1000 : value;
+  }
+  if (typeof value !== 'string') return null;
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// Best-effort id of a broken entry, for the report only
+function peekId(text) {
+  const match = /^\s*\{\s*"id"\s*:\s*"([^"\\]+)"/.exec(text);
+  return match ? match[1] : null;
+}
+
+/**
+ * Log the entries a parse had to skip; returns `parsed`
+ */
+function reportListErrors(parsed, log = logger.child({ component: 'API' })) {
+  for (const error of parsed.errors) {
+    if (error.index === null) {
+      log.warn(`⚠ Malformed list response: ${error.reason}`);
+    } else {
+      log.warn(`⚠ Skipping malformed list entry #${error.index}${error.id ? ` (${error.id})` : ''}: ${error.reason}`, {
+        ...(error.id && { creationId: error.id }),
+        entryIndex: error.index,
+      });
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Parse a whole creations/list body into { creations, totalCount, errors },
+ * logging any entries that had to be skipped. For a body arriving in chunks,
+ * write them to a CreationsListParser and pass its end() to reportListErrors.
+ */
+function parseCreationsList(text, log) {
+  return reportListErrors(new CreationsListParser().write(text).end(), log);
+}
+
+module.exports = { parseCreationsList, CreationsListParser, reportListErrors, checkCreation };
@@ -0,0 +1,91 @@
+/**
+ * DownloadPool - Bounded concurrency for file downloads
+ *
+ * At most `concurrency` tasks run at once overall, and at most `perHost`
+ * against any single host, so parallel downloads don't get us throttled by
+ * one CDN while another sits idle. Tasks start in FIFO order, skipping over
+ * ones whose host is saturated.
+ */
+class DownloadPool {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 4);
+    this.perHost = Math.max(1, options.perHost || 2);
+    this.queue = [];
+    this.active = 0;
+    this.activeByHost = new Map();
+    this.stats = { started: 0, completed: 0, failed: 0, peak: 0 };
+  }
+
+  hostOf(url) {
+    try {
+      return new URL(url).host;
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Queue a task for `url`; resolves/rejects with the task's result
+   */
+  run(url, task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ host: this.hostOf(url), task, resolve, reject });
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.active < this.concurrency) {
+      const index = this.queue.findIndex(job => (this.activeByHost.get(job.host) || 0) < this.perHost);
+      if (index === -1) return;
+      const [job] = this.queue.splice(index, 1);
+      this.start(job);
+    }
+  }
+
+  start(job) {
+    this.active++;
+    this.activeByHost.set(job.host, (this.activeByHost.get(job.host) || 0) + 1);
+    this.stats.started++;
+    this.stats.peak = Math.max(this.stats.peak, this.active);
+
+    const finish = () => {
+      this.active--;
+      const remaining = this.activeByHost.get(job.host) - 1;
+      if (remaining === 0) this.activeByHost.delete(job.host);
+      else this.activeByHost.set(job.host, remaining);
+      this.drain();
+    };
+
+    Promise.resolve()
+      .then(job.task)
+      .then(result => {
+        this.stats.completed++;
+        finish();
+        job.resolve(result);
+      }, err => {
+        this.stats.failed++;
+        finish();
+        job.reject(err);
+      });
+  }
+}
+
+/**
+ * Run fn over items with at most `limit` in flight; results keep input order
+ */
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
+module.exports = DownloadPool;
+module.exports.mapConcurrent = mapConcurrent;
@@ -1,3 +1,4 @@
+#!/usr/bin/env node
 /**
  * Optimized Hunyuan 3D Asset Downloader
  *
@@ -20,66 +21,310 @@
  *
  * First run: Full load (all resources loaded)
  * Repeat runs: Cached assets used (50%+ faster)
+ *
+ * LIBRARY USE:
+ *   const OptimizedDownloader = require('usdz-downloader');
+ *   const downloader = new OptimizedDownloader({ headless: true });
+ *   downloader.on(OptimizedDownloader.EVENTS.DOWNLOAD_COMPLETE, e => ...);
+ *   await downloader.run();
+ *
+ * WATCH MODE:
+ *   downloader.watch() keeps one session open and polls the list every
+ *   `watchInterval` ms until downloader.stopWatching() is called.
+ *
+ * `selection` (see selection.js) narrows which creations are downloaded and
+ * deleted: { ids, title, excludeTitle, since, until, minVariants, limit, order }.
+ *
+ * Site specifics (assets page, list parsing, delete call, page health) come
+ * from a source provider: `provider` is a registered name ('hunyuan', the
+ * default) or an OptimizedDownloader.SourceProvider subclass instance.
+ *
+ * Events (see EVENTS):
+ * - asset-discovered   { index, total, creation }
+ * - download-progress  { creationId, title, variant, format, filename, receivedBytes, totalBytes }
+ * - download-complete  { creationId, title, success, downloaded, expectedCount }
+ * - delete-complete    { creationId, title, deleted }
+ * - convert-complete   { filename, inputPath, outputPath, preset, sizeIn, sizeOut }
+ * - poll-complete      { poll, listed, fresh, summary }   (watch mode)
+ * - error              { stage, error, creationId?, filename? }
+ *
+ * 'error' is only emitted when a listener is attached, so an embedder that
+ * ignores it does not crash the run.
  */
 
 const { chromium } = require('playwright');
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
-const { spawn } = require('child_process');
 const CacheManager = require('./cache-manager');
 const AssetCache = require('./asset-cache');
+const LibraryManifest = require('./manifest');
+const { sha256File } = require('./manifest');
+const { validateFile } = require('./validator');
+const DownloadPool = require('./download-pool');
+const { mapConcurrent } = require('./download-pool');
+const { collectRemainingPages } = require('./pagination');
+const { getProvider, registerProvider, SourceProvider } = require('./providers');
+const logger = require('./logger');
+const RunReport = require('./run-report');
+const { optimizeGlb, resolvePreset, describePreset } = require('./glb-optimizer');
+const CreationSelection = require('./selection');
+const SessionManager = require('./session-manager');
+const { SessionExpiredError, isSessionExpiredResponse, isLoginUrl } = require('./session-manager');
 
 const DOWNLOADS_DIR = path.join(__dirname, 'downloads');
 const STATE_FILE = path.join(__dirname, 'download-state.json');
 const SESSION_FILE = path.join(__dirname, 'browser-session.json');
-const WEBSITE_URL = 'https://3d.hunyuan.tencent.com/assets';
-
-const ASSETS_PER_BLOCK = 4;
-const SESSION_VALID_DAYS = 7;
+const MANIFEST_FILE = path.join(__dirname, 'library-manifest.json');
+const LIST_TEMPLATE_FILE = path.join(__dirname, 'list-request.json');
+
+// API provides: glb (textured), obj, mtl, geometryGlb, textureGlb — no usdz key exists
+const DEFAULT_FORMATS = ['glb'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Watch mode: polls a failing creation is retried for before it is left for
+// a manual download run
+const MAX_WATCH_ATTEMPTS = 3;
+
+// When a creation may be removed from the server. Every policy also requires
+// a verified manifest entry, so nothing unverified is ever deleted.
+const DELETE_POLICIES = ['never', 'after-download', 'after-convert', 'after-days'];
+
+const EVENTS = Object.freeze({
+  ASSET_DISCOVERED: 'asset-discovered',
+  DOWNLOAD_PROGRESS: 'download-progress',
+  DOWNLOAD_COMPLETE: 'download-complete',
+  DELETE_COMPLETE: 'delete-complete',
+  CONVERT_COMPLETE: 'convert-complete',
+  POLL_COMPLETE: 'poll-complete',
+  ERROR: 'error',
+});
 
-function loadState() {
+function loadState(stateFile = STATE_FILE) {
   try {
-    if (fs.existsSync(STATE_FILE)) {
-      return JSON.parse(fs.readFileSync(STATE_FILE, 'utf-8'));
+    if (fs.existsSync(stateFile)) {
+      return JSON.parse(fs.readFileSync(stateFile, 'utf-8'));
     }
   } catch (e) {
-    console.error('[State] Error loading:', e.message);
+    logger.child({ component: 'State' }).error(`Error loading: ${e.message}`, { error: e });
   }
   return { deletedItems: [], processedCount: 0, lastProcessedTimestamp: null };
 }
 
-function saveState(state) {
+function saveState(state, stateFile = STATE_FILE) {
   state.lastProcessedTimestamp = new Date().toISOString();
-  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2), 'utf-8');
+  const tempPath = stateFile + '.tmp';
+  fs.writeFileSync(tempPath, JSON.stringify(state, null, 2), 'utf-8');
+  fs.renameSync(tempPath, stateFile);
 }
 
-function hasValidSession() {
-  if (!fs.existsSync(SESSION_FILE)) return false;
-  try {
-    const stat = fs.statSync(SESSION_FILE);
-    const ageDays = (Date.now() - stat.mtime.getTime()) / (1000 * 60 * 60 * 24);
-    return ageDays < SESSION_VALID_DAYS;
-  } catch {
-    return false;
+// OBJ is useless without its MTL, so asking for one brings the other
+function expandFormats(formats) {
+  const expanded = [...formats];
+  if (expanded.includes('obj') && !expanded.includes('mtl')) expanded.push('mtl');
+  return expanded;
+}
+
+// OBJ and MTL keep their served names, reduced to a single path segment so
+// an encoded "../" or a malformed escape cannot leave the variant folder
+function variantFilename(format, url) {
+  if (format === 'obj' || format === 'mtl') {
+    let name = url.split('?')[0].split('/').pop();
+    try {
+      name = decodeURIComponent(name);
+    } catch {
+      // Not valid percent-encoding: keep the name as served
+    }
+    name = path.posix.basename(name.replace(/\\/g, '/'));
+    return name && name !== '..' && name !== '.' ? name : `model.${format}`;
   }
+  const ext = url.split('?')[0].split('.').pop().toLowerCase() || 'glb';
+  const base = format === 'glb' ? 'model' : format.replace(/glb$/i, '').toLowerCase() || format;
+  return `${base}.${ext}`;
+}
+
+// A count option: unset means the default, anything but a whole number >= 1 is an error
+function wholeNumberOption(value, fallback, name) {
+  if (value === undefined || value === null) return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`${name} must be a positive whole number, got ${JSON.stringify(value)}`);
+  return n;
+}
+
+// All files under dir (recursively) with the given extension, relative to dir
+function listFiles(dir, ext) {
+  if (!fs.existsSync(dir)) return [];
+  const found = [];
+  const walk = (rel) => {
+    for (const entry of fs.readdirSync(path.join(dir, rel), { withFileTypes: true })) {
+      const child = rel ? path.join(rel, entry.name) : entry.name;
+      if (entry.isDirectory()) walk(child);
+      else if (entry.name.endsWith(ext)) found.push(child);
+    }
+  };
+  walk('');
+  return found;
 }
 
-class OptimizedDownloader {
-  constructor() {
+class OptimizedDownloader extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.downloadsDir = options.downloadsDir || DOWNLOADS_DIR;
+    this.convertedDir = options.convertedDir || path.join(__dirname, 'converted');
+    this.stateFile = options.stateFile || STATE_FILE;
+    this.sessionFile = options.sessionFile || SESSION_FILE;
+    // Everything specific to the site being downloaded from (see providers/)
+    this.provider = getProvider(options.provider, { websiteUrl: options.websiteUrl });
+    this.websiteUrl = this.provider.websiteUrl;
+    this.templateFile = options.templateFile || LIST_TEMPLATE_FILE;
+    // 'browser' drives the site with Playwright; 'api' calls the API from Node with the saved session
+    this.mode = options.mode || 'browser';
+    if (!['browser', 'api'].includes(this.mode)) {
+      throw new Error(`Unknown mode "${this.mode}" (expected browser or api)`);
+    }
+    this.api = null;
+    this.formats = options.formats || DEFAULT_FORMATS;
+    // Only `login` needs a visible browser; regular runs are headless unless asked
+    this.headless = options.headless !== false;
+    this.interactiveLogin = options.interactiveLogin === true;
+    this.profile = options.profile || null;
+    this.dryRun = options.dryRun === true;
+    this.session = new SessionManager({
+      sessionFile: this.sessionFile,
+      websiteUrl: this.websiteUrl,
+      listPath: this.provider.listPath,
+      isListBody: body => this.provider.isListBody(body),
+      loginCommand: this.profile ? `usdz-downloader login --profile ${this.profile}` : undefined,
+      readOnly: this.dryRun,
+    });
+    this.sessionExpired = false;
+    this.skipDelete = options.skipDelete === true;
+    this.skipConvert = options.skipConvert === true;
+    // GLB conversion settings: a preset name or { preset, ...overrides } (see glb-optimizer.js)
+    this.convertPreset = resolvePreset(options.convertPreset);
+    this.deletePolicy = this.skipDelete ? 'never' : (options.deletePolicy || 'after-download');
+    this.deleteAfterDays = options.deleteAfterDays != null ? Number(options.deleteAfterDays) : 7;
+    if (!DELETE_POLICIES.includes(this.deletePolicy)) {
+      throw new Error(`Unknown delete policy "${this.deletePolicy}" (expected ${DELETE_POLICIES.join(', ')})`);
+    }
+    if (!(this.deleteAfterDays >= 0)) {
+      throw new Error(`Invalid deleteAfterDays: ${options.deleteAfterDays}`);
+    }
+    this.manifest = new LibraryManifest(options.manifestFile || MANIFEST_FILE);
+    // Creations outside the selection are neither downloaded nor deleted
+    this.selection = options.selection instanceof CreationSelection
+      ? options.selection
+      : new CreationSelection(options.selection);
+    this.pagination = options.pagination || 'auto';
+    if (!['auto', 'api', 'page'].includes(this.pagination)) {
+      throw new Error(`Unknown pagination mode "${this.pagination}" (expected auto, api or page)`);
+    }
+    this.concurrency = wholeNumberOption(options.concurrency, 4, 'concurrency');
+    this.perHostConcurrency = wholeNumberOption(options.perHostConcurrency, 2, 'perHostConcurrency');
+    // Per-request socket timeout and the base of the retry backoff (2x, 4x, 8x)
+    this.downloadTimeout = Number(options.downloadTimeout) || 120000;
+    this.retryDelay = options.retryDelay != null ? Number(options.retryDelay) : 2000;
+    // Watch mode: time between polls, and the ceiling of the backoff after failed polls
+    this.watchInterval = Number(options.watchInterval) || 5 * 60 * 1000;
+    this.watchMaxBackoff = Math.max(this.watchInterval, Number(options.watchMaxBackoff) || 60 * 60 * 1000);
+    this.watching = false;
+    this.wakeWatch = null;
+    this.pool = new DownloadPool({ concurrency: this.concurrency, perHost: this.perHostConcurrency });
     this.browser = null;
     this.context = null;
     this.page = null;
-    this.state = loadState();
-    this.cache = new CacheManager(__dirname);
-    this.assetCache = new AssetCache(__dirname);
-    this.downloadedThisRun = new Set();
+    this.state = loadState(this.stateFile);
+    this.cacheDir = options.cacheDir || __dirname;
+    // One JSON-lines file per run (see logger.js)
+    this.logsDir = options.logsDir || path.join(this.cacheDir, 'logs');
+    this.runId = null;
+    // A JSON report (and optionally HTML) per download/convert run
+    this.reportsDir = options.reportsDir || path.join(this.cacheDir, 'reports');
+    this.htmlReport = options.htmlReport === true;
+    this.report = null;
+    this.reportFiles = null;
+    this.cache = new CacheManager(this.cacheDir);
+    this.assetCache = new AssetCache(this.cacheDir);
     this.runStartTime = Date.now();
     this.blockedCount = 0;
     this.allowedCount = 0;
     this.cachedCount = 0;
   }
 
+  // Logger for one component, tagged with the profile and any asset context
+  log(component, context = {}) {
+    return logger.child({ component, ...(this.profile && { profile: this.profile }), ...context });
+  }
+
+  // Run `work` with a per-run log file open and, if `report` is set, a run
+  // report collecting results. Nested calls (convert inside a download run)
+  // share the outer run. A dry run logs to the console only.
+  async withRunLog(command, work, { report = false } = {}) {
+    if (this.runId) return work();
+    this.runId = logger.startRun({ logsDir: this.dryRun ? null : this.logsDir });
+    const log = this.log('Run');
+    log.info(`Run ${this.runId} started (${command})`, { command, mode: this.mode, provider: this.provider.name });
+
+    try {
+      return await (report ? this.withReport(command, this.runId, work) : work());
+    } catch (err) {
+      log.error(`Run failed: ${err.message}`, { error: err });
+      throw err;
+    } finally {
+      log.info(`Run ${this.runId} finished`);
+      logger.endRun();
+      this.runId = null;
+    }
+  }
+
+  // Collect a run report while `work` runs and write it as <reportId>.json.
+  // With skipEmpty, a successful run that recorded nothing leaves no file.
+  async withReport(command, reportId, work, { skipEmpty = false } = {}) {
+    this.report = new RunReport({
+      runId: reportId, command, mode: this.mode, provider: this.provider.name, profile: this.profile,
+    });
+    let result;
+    let failure = null;
+    try {
+      result = await work();
+      return result;
+    } catch (err) {
+      failure = err;
+      throw err;
+    } finally {
+      if (skipEmpty && !failure && this.report.isEmpty()) {
+        this.report = null;
+      } else {
+        this.writeReport(failure, result);
+      }
+    }
+  }
+
+  writeReport(failure, result) {
+    this.report.finish({
+      status: failure ? 'failed' : 'completed',
+      error: failure,
+      summary: result && typeof result === 'object' ? result : null,
+      network: this.mode === 'browser'
+        ? { blocked: this.blockedCount, allowed: this.allowedCount, cached: this.cachedCount }
+        : null,
+      cache: this.assetCache.getStats(),
+    });
+    try {
+      this.reportFiles = this.report.write(this.reportsDir, { html: this.htmlReport });
+      this.log('Report').info(`✓ Run report written to ${this.reportFiles.html || this.reportFiles.json}`, this.reportFiles);
+    } catch (e) {
+      this.log('Report').error(`Could not write run report: ${e.message}`, { error: e });
+    }
+    this.report = null;
+  }
+
+  emitError(stage, error, details = {}) {
+    if (this.report) this.report.recordError(stage, error, details);
+    if (this.listenerCount(EVENTS.ERROR) > 0) {
+      this.emit(EVENTS.ERROR, { stage, error, ...details });
+    }
+  }
+
   async setupNetworkOptimization() {
     // Phase 1: Block specific file patterns (cosmetic resources)
     const blockedPatterns = [
@@ -125,6 +370,8 @@ class OptimizedDownloader {
     }
 
     // Phase 2: Intelligent resource handling
+    const { blockedDomains, blockedApiPaths } = this.provider;
+    const networkLog = this.log('Network');
     await this.page.route('**/*', route => {
       const request = route.request();
       const url = request.url();
@@ -148,32 +395,18 @@ class OptimizedDownloader {
         }
       }
 
-      // Block telemetry and A/B testing domains
-      const blockedDomains = [
-        'galileotelemetry', 'beacon', 'umeng',
-        'h.trace.qq.com', 'data.ab.qq.com', 'config.ab.qq.com',
-      ];
+      // Block the site's telemetry domains and non-essential API calls
       if (blockedDomains.some(d => url.includes(d))) {
         this.blockedCount++;
         return route.abort();
       }
-
-      // Block non-essential API calls (don't affect asset list rendering)
-      const blockedApiPaths = [
-        '/api/3d/quotainfo',
-        '/api/3d/workflow/action/templates',
-        '/api/3d/share',
-        '/api/3d/notice/list',
-      ];
       if (blockedApiPaths.some(p => url.includes(p))) {
         this.blockedCount++;
         return route.abort();
       }
 
       this.allowedCount++;
-      if (process.env.DEBUG_REQUESTS) {
-        console.log(`  [ALLOW] [${resourceType}] ${url.substring(0, 120)}`);
-      }
+      networkLog.debug(`ALLOW [${resourceType}] ${url.substring(0, 120)}`);
       return route.continue();
     });
 
@@ -181,7 +414,7 @@ class OptimizedDownloader {
     await this.page.route('**/*.css', route => {
       route.continue(response => {
         response.then(res => {
-          if (res.status() === 200) {
+          if (res.status() === 200 && !this.dryRun) {
             res.text().then(text => {
               this.assetCache.set(route.request().url(), text, 'stylesheet');
             }).catch(() => {});
@@ -193,7 +426,7 @@ class OptimizedDownloader {
     await this.page.route('**/*.js', route => {
       route.continue(response => {
         response.then(res => {
-          if (res.status() === 200) {
+          if (res.status() === 200 && !this.dryRun) {
             res.text().then(text => {
               this.assetCache.set(route.request().url(), text, 'script');
             }).catch(() => {});
@@ -204,91 +437,119 @@ class OptimizedDownloader {
   }
 
   async init() {
-    console.log('[Init] Launching browser...');
-    this.browser = await chromium.launch({ headless: false });
+    if (this.mode === 'api') {
+      this.log('Init').info('API mode — using saved session, no browser');
+      this.api = this.provider.createApiClient({
+        sessionFile: this.sessionFile,
+        templateFile: this.templateFile,
+      });
+      return;
+    }
 
-    if (hasValidSession()) {
-      console.log('[Session] Loading saved session...');
-      try {
-        this.context = await this.browser.newContext({ storageState: SESSION_FILE });
-        console.log('[Session] ✓ Session loaded');
-      } catch {
-        console.log('[Session] Failed to load, creating fresh context');
-        this.context = await this.browser.newContext();
-      }
-    } else {
-      console.log('[Session] No valid session found, creating fresh context');
+    this.log('Init').info('Launching browser...');
+    this.browser = await chromium.launch({ headless: this.headless });
+
+    const sessionLog = this.log('Session');
+    sessionLog.info('Loading saved session...');
+    try {
+      this.context = await this.browser.newContext({ storageState: this.sessionFile });
+      sessionLog.info('✓ Session loaded');
+    } catch {
+      sessionLog.warn('Failed to load, creating fresh context');
       this.context = await this.browser.newContext();
     }
 
     this.page = await this.context.newPage();
     this.page.setDefaultTimeout(3000000);
 
-    console.log('[Optimization] Setting up intelligent resource blocking + caching...');
+    this.log('Optimization').info('Setting up intelligent resource blocking + caching...');
     await this.setupNetworkOptimization();
   }
 
   async close() {
     if (this.browser) {
       await this.browser.close();
+      this.browser = null;
+      this.context = null;
+      this.page = null;
     }
-    this.cache.saveStats();
+    if (!this.dryRun) this.cache.saveStats();
     const assetStats = this.assetCache.getStats();
     const totalTime = (Date.now() - this.runStartTime) / 1000;
 
-    console.log('\n[OPTIMIZATION REPORT]');
-    console.log(`Blocked requests:  ${this.blockedCount}`);
-    console.log(`Allowed requests:  ${this.allowedCount}`);
-    console.log(`Cached assets:     ${this.cachedCount}`);
-    console.log(`Cache hits:        ${assetStats.hits}`);
-    console.log(`Cache saved:       ${assetStats.saved} assets`);
-    console.log(`Cache size:        ${(assetStats.totalSize / 1024).toFixed(1)} KB`);
-    console.log(`Total runtime:     ${totalTime.toFixed(1)}s\n`);
+    const log = this.log('Report');
+    if (this.mode === 'api') {
+      log.info(`Total runtime: ${totalTime.toFixed(1)}s`, { runtimeSeconds: totalTime });
+      return;
+    }
+
+    log.info(
+      `Blocked ${this.blockedCount}, allowed ${this.allowedCount}, cached ${this.cachedCount} requests; ` +
+      `cache ${assetStats.hits} hit(s), ${assetStats.saved} saved, ${(assetStats.totalSize / 1024).toFixed(1)} KB; ` +
+      `total runtime ${totalTime.toFixed(1)}s`,
+      {
+        blocked: this.blockedCount,
+        allowed: this.allowedCount,
+        cached: this.cachedCount,
+        cacheHits: assetStats.hits,
+        cacheSaved: assetStats.saved,
+        cacheBytes: assetStats.totalSize,
+        runtimeSeconds: totalTime,
+      },
+    );
   }
 
   async saveSession() {
-    await this.context.storageState({ path: SESSION_FILE });
-    console.log('[Session] ✓ Saved');
+    if (!this.context || this.sessionExpired) return;
+    await this.context.storageState({ path: this.sessionFile });
+    this.log('Session').info('✓ Saved');
   }
 
   async navigateToAssets() {
     const start = Date.now();
-    console.log('[Nav] Going to assets page...');
-    await this.page.goto(WEBSITE_URL, { waitUntil: 'domcontentloaded' });
+    const log = this.log('Nav');
+    log.info('Going to assets page...', { url: this.websiteUrl });
+    await this.page.goto(this.websiteUrl, { waitUntil: 'domcontentloaded' });
     const navTime = Date.now() - start;
-    console.log(`[Nav] ✓ Page loaded in ${navTime}ms`);
+    log.info(`✓ Page loaded in ${navTime}ms`);
+
+    if (isLoginUrl(this.page.url())) {
+      this.sessionExpired = true;
+      throw new SessionExpiredError(`Redirected to login page (${new URL(this.page.url()).hostname})`);
+    }
 
     const waitStart = Date.now();
     await this.page.waitForLoadState('networkidle', { timeout: 600000 }).catch(() => {});
     const waitTime = Date.now() - waitStart;
-    console.log(`[Nav] ✓ Network idle after ${waitTime}ms`);
+    log.info(`✓ Network idle after ${waitTime}ms`);
 
     await this.checkPageState();
   }
 
   async checkPageState() {
-    console.log('[Check] Analyzing page state...');
-    const html = await this.page.content();
-    
-    if (html.includes('hy-error-boundary') || html.includes('页面出错')) {
-      console.error('[ERROR] Page shows error boundary - React app failed to initialize');
-      console.error('[ERROR] This usually means CSS/JS resources were blocked or network is unavailable');
-      throw new Error('Page initialization failed - error boundary displayed');
+    const log = this.log('Check');
+    log.info('Analyzing page state...');
+    const health = await this.provider.checkPageHealth(this.page);
+
+    if (!health.ok) {
+      log.error(`Page failed to initialize: ${health.reason} — usually CSS/JS resources were blocked or the network is unavailable`);
+      throw new Error(`Page initialization failed - ${health.reason}`);
     }
-    
-    console.log('[Check] ✓ Page initialized successfully (no error boundary)');
+
+    log.info('✓ Page initialized successfully');
   }
 
   async waitForListItems(timeout = 600000) {
-    console.log('[Load] Waiting for list items to render...');
+    const log = this.log('Load');
+    log.info('Waiting for list items to render...');
     const start = Date.now();
     let lastCount = 0;
 
-    while (Date.now() - start < timeout) {
-      const count = await this.page.locator('role=listitem').count();
+    while (Date.now() - start < timeout && !this.sessionExpired) {
+      const count = await this.page.locator(this.provider.listItemSelector).count();
       if (count > 0) {
         const elapsed = Date.now() - start;
-        console.log(`[Load] ✓ Found ${count} items after ${elapsed}ms`);
+        log.info(`✓ Found ${count} items after ${elapsed}ms`);
         return count;
       }
       lastCount = count;
@@ -297,375 +558,935 @@ class OptimizedDownloader {
       }
     }
 
-    console.log(`[Load] ✗ Timeout after ${timeout}ms, last count: ${lastCount}`);
+    log.warn(`✗ Timeout after ${timeout}ms, last count: ${lastCount}`);
     return 0;
   }
 
+  // Collects the whole creations list. The first creations/list request the
+  // page makes is intercepted and used as a template; remaining pages are
+  // then fetched either by replaying it with new paging fields from inside
+  // the page (same cookies and headers), or by scrolling the list so the
+  // site loads them itself. Every intercepted page lands in `collected`.
   async fetchAssetList() {
-    console.log('[API] Registering asset list interceptor...');
-    return new Promise((resolve) => {
-      let resolved = false;
-
-      const parseBody = (text) => {
-        // Try full JSON parse
-        try {
-          const parsed = JSON.parse(text);
-          // Structure: { totalCount, creations: [{ id, title, result: [{ assetId, status, urlResult }] }] }
-          const list = parsed.creations || parsed.data || [];
-          if (Array.isArray(list) && list.length > 0) {
-            console.log(`[API] ✓ Parsed ${list.length} creations`);
-            return list.map(c => ({
-              id: c.id,
-              title: c.title || c.name || c.id,
-              result: (c.result || []).filter(r => r.status === 'success'),
-            }));
-          }
-        } catch (_) {}
-
-        // Regex fallback for large responses
-        console.log('[API] JSON parse failed, using regex fallback...');
-        const creations = [];
-        // Extract top-level creation ids and titles
-        const creationIds = [...text.matchAll(/"creations"\s*:\s*\[[\s\S]*?"id"\s*:\s*"([^"]+)"/g)];
-        // Simpler: extract all id+title pairs at creation level
-        for (const m of text.matchAll(/"id"\s*:\s*"([^"]+)"[^}]{0,200}?"title"\s*:\s*"([^"]+)"/g)) {
-          // Collect urlResult blocks that follow
-          creations.push({ id: m[1], title: m[2], result: [] });
-        }
-        // Extract all urlResult blocks
-        const urlBlocks = [...text.matchAll(/"urlResult"\s*:\s*(\{[^}]+\})/g)];
-        urlBlocks.forEach((m, i) => {
-          const creation = creations[Math.floor(i / 4)]; // 4 results per creation
-          if (creation) {
-            try {
-              const urls = JSON.parse(m[1]);
-              creation.result.push({ assetId: `r${i}`, urlResult: urls });
-            } catch {}
-          }
-        });
-        if (creations.length > 0) {
-          console.log(`[API] ✓ Regex-extracted ${creations.length} creations`);
+    const log = this.log('API');
+    log.info('Registering asset list interceptor...');
+    const collected = new Map();
+    let totalCount = null;
+    let template = null;
+    let onFirstPage;
+    const firstPage = new Promise(resolve => { onFirstPage = resolve; });
+
+    const addPage = (page) => {
+      for (const creation of page.creations) collected.set(creation.id, creation);
+      if (page.totalCount !== null) totalCount = page.totalCount;
+    };
+
+    // Use route interception so we buffer the body ourselves before
+    // Playwright's inspector cache can evict it (happens with large responses)
+    const onListResponse = async (route) => {
+      try {
+        const request = route.request();
+        const response = await route.fetch();
+        const body = await response.body(); // buffered by us, not CDP cache
+        await route.fulfill({ response, body }); // pass through to page unchanged
+        if (isSessionExpiredResponse(response.status(), response.headers()['location'])) {
+          this.sessionExpired = true;
+          onFirstPage(false);
+          return;
         }
-        return creations;
-      };
-
-      // Use route interception so we buffer the body ourselves before
-      // Playwright's inspector cache can evict it (happens with large responses)
-      this.page.route('**/api/3d/creations/list', async (route) => {
-        try {
-          const response = await route.fetch();
-          const body = await response.body(); // buffered by us, not CDP cache
-          await route.fulfill({ response, body }); // pass through to page unchanged
-          if (resolved) return;
-          const text = body.toString('utf-8');
-          const assets = parseBody(text);
-          if (assets.length > 0) {
-            resolved = true;
-            resolve(assets);
-          }
-        } catch (err) {
-          console.error('[API] Intercept error:', err.message);
-          await route.continue().catch(() => {});
+        const page = this.provider.parseListResponse(body.toString('utf-8'));
+        addPage(page);
+        if (!template && page.creations.length > 0) {
+          let requestBody = request.postData();
+          try { requestBody = requestBody ? JSON.parse(requestBody) : null; } catch (_) {}
+          template = { url: request.url(), method: request.method(), headers: request.headers(), body: requestBody };
+          log.info(`✓ First page: ${page.creations.length} creations (totalCount: ${page.totalCount ?? 'unknown'})`);
+          if (!this.dryRun) this.saveListTemplate(template);
+          onFirstPage(true);
         }
-      });
+      } catch (err) {
+        log.error(`Intercept error: ${err.message}`, { error: err });
+        await route.continue().catch(() => {});
+      }
+    };
+    await this.page.route(this.provider.listRoutePattern, onListResponse);
 
+    // Watch mode reuses the page for every poll, so the interceptor is
+    // removed once this list is collected
+    try {
       // Timeout after 900s
-      setTimeout(() => {
-        if (!resolved) {
-          resolved = true;
-          console.log('[API] ✗ Timeout waiting for asset list');
-          resolve([]);
+      const timer = setTimeout(() => onFirstPage(false), 900000);
+      timer.unref();
+      const gotFirstPage = await firstPage;
+      clearTimeout(timer);
+      if (!gotFirstPage) {
+        log.warn(this.sessionExpired ? '✗ Asset list refused — session expired' : '✗ Timeout waiting for asset list');
+        return [];
+      }
+
+      if (totalCount === null || collected.size < totalCount) {
+        const mode = this.pagination;
+        let complete = false;
+        if (mode === 'api' || mode === 'auto') {
+          complete = await collectRemainingPages({
+            template,
+            totalCount,
+            collected,
+            fetchPage: request => this.fetchListPageInBrowser(request),
+            log: msg => log.info(msg),
+          }).catch(err => {
+            log.warn(`✗ Direct paging failed: ${err.message}`);
+            return false;
+          });
         }
-      }, 900000);
+        if (!complete && (mode === 'page' || mode === 'auto') && totalCount !== null && collected.size < totalCount) {
+          await this.scrollForMorePages(collected, () => totalCount);
+        }
+      }
+
+      const assets = [...collected.values()];
+      if (totalCount !== null && assets.length < totalCount) {
+        log.warn(`⚠ Collected ${assets.length}/${totalCount} creations — the rest will be picked up next run`);
+      } else {
+        log.info(`✓ Collected ${assets.length} creations`);
+      }
+      return assets;
+    } finally {
+      await this.page.unroute(this.provider.listRoutePattern, onListResponse).catch(() => {});
+    }
+  }
+
+  // Remember the site's list request so API mode can replay the same shape.
+  // Cookies are not stored here; they come from the session file.
+  saveListTemplate(template) {
+    const headers = Object.fromEntries(Object.entries(template.headers)
+      .filter(([k]) => k.toLowerCase() !== 'cookie'));
+    try {
+      fs.writeFileSync(this.templateFile, JSON.stringify({ ...template, headers }, null, 2), 'utf8');
+    } catch (e) {
+      this.log('API').error(`Could not save list request template: ${e.message}`, { error: e });
+    }
+  }
+
+  // Replay the list request from inside the page, so the site's own cookies apply
+  async fetchListPageInBrowser(request) {
+    const skipHeaders = ['cookie', 'content-length', 'host', 'connection', 'accept-encoding', 'origin', 'referer'];
+    const headers = Object.fromEntries(Object.entries(request.headers || {})
+      .filter(([k]) => !skipHeaders.includes(k.toLowerCase()) && !k.startsWith(':')));
+
+    const result = await this.page.evaluate(async ({ url, method, headers, body }) => {
+      const res = await fetch(url, { method, headers, body, credentials: 'include' });
+      return { status: res.status, text: await res.text() };
+    }, {
+      url: request.url,
+      method: request.method,
+      headers,
+      body: request.body && typeof request.body === 'object' ? JSON.stringify(request.body) : request.body || undefined,
     });
+
+    if (result.status !== 200) throw new Error(`HTTP ${result.status}`);
+    return this.provider.parseListResponse(result.text);
+  }
+
+  // Drive the page: scroll the last list item into view until the site has
+  // loaded every page (the interceptor collects them) or nothing new arrives
+  async scrollForMorePages(collected, getTotal, maxIdleRounds = 3) {
+    const log = this.log('API');
+    log.info('Scrolling the asset list to load remaining pages...');
+    let idle = 0;
+    while (collected.size < getTotal() && idle < maxIdleRounds) {
+      const before = collected.size;
+      await this.page.locator(this.provider.listItemSelector).last().scrollIntoViewIfNeeded().catch(() => {});
+      await this.page.mouse.wheel(0, 5000).catch(() => {});
+      await this.page.waitForLoadState('networkidle', { timeout: 30000 }).catch(() => {});
+      await this.page.waitForTimeout(1000);
+      idle = collected.size === before ? idle + 1 : 0;
+      log.info(`${collected.size}/${getTotal()} creations loaded`);
+    }
   }
 
-  async downloadFile(url, destPath, attempt = 0) {
+  // Downloads go to destPath + '.part' and are renamed into place only when
+  // complete. A retry (or a later run) resumes the .part with a Range request;
+  // servers that ignore Range get a full re-download.
+  async downloadFile(url, destPath, meta = {}, attempt = 0) {
     const https = require('https');
     const http = require('http');
     const MAX_ATTEMPTS = 4;
-    const attempt1 = () => new Promise((resolve, reject) => {
-      const proto = url.startsWith('https') ? https : http;
-      const file = fs.createWriteStream(destPath);
-      const req = proto.get(url, { timeout: 120000 }, (res) => {
-        if (res.statusCode === 301 || res.statusCode === 302) {
-          file.close();
-          fs.unlink(destPath, () => {});
-          return this.downloadFile(res.headers.location, destPath, attempt).then(resolve).catch(reject);
+    const MAX_REDIRECTS = 5;
+    const partPath = destPath + '.part';
+    const { creationId, variant, format, filename } = meta;
+    const log = this.log('Download', { creationId, variant, format, filename });
+
+    const attempt1 = (currentUrl, redirects = 0) => new Promise((resolve, reject) => {
+      const proto = currentUrl.startsWith('https') ? https : http;
+      const offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+      const headers = offset > 0 ? { Range: `bytes=${offset}-` } : {};
+
+      const req = proto.get(currentUrl, { timeout: this.downloadTimeout, headers }, (res) => {
+        if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+          res.resume();
+          if (redirects >= MAX_REDIRECTS) return reject(new Error('Too many redirects'));
+          return attempt1(new URL(res.headers.location, currentUrl).href, redirects + 1).then(resolve, reject);
         }
-        if (res.statusCode !== 200) {
-          file.close();
-          fs.unlink(destPath, () => {});
+
+        if (res.statusCode === 416 && offset > 0) {
+          // Range not satisfiable: either the .part is already complete or it is stale
+          res.resume();
+          const total = parseInt((res.headers['content-range'] || '').split('/')[1], 10);
+          if (total === offset) {
+            fs.renameSync(partPath, destPath);
+            return resolve({ contentLength: total, resumedFrom: offset });
+          }
+          fs.unlinkSync(partPath);
+          return reject(new Error('Stale partial download discarded'));
+        }
+
+        let startAt;
+        let totalBytes;
+        if (res.statusCode === 206 && offset > 0) {
+          const match = /bytes (\d+)-\d+\/(\d+|\*)/.exec(res.headers['content-range'] || '');
+          if (!match || parseInt(match[1], 10) !== offset) {
+            res.resume();
+            fs.unlinkSync(partPath);
+            return reject(new Error('Unexpected Content-Range, restarting download'));
+          }
+          startAt = offset;
+          totalBytes = match[2] === '*' ? null : parseInt(match[2], 10);
+          log.info(`Resuming ${meta.filename || path.basename(destPath)} from ${(offset / 1024 / 1024).toFixed(1)} MB`, { resumedFrom: offset });
+        } else if (res.statusCode === 200) {
+          startAt = 0;
+          const length = parseInt(res.headers['content-length'], 10);
+          totalBytes = Number.isNaN(length) ? null : length;
+        } else {
+          res.resume();
           return reject(new Error(`HTTP ${res.statusCode}`));
         }
+
+        const file = fs.createWriteStream(partPath, { flags: startAt > 0 ? 'a' : 'w' });
+        let receivedBytes = startAt;
+        res.on('data', (chunk) => {
+          receivedBytes += chunk.length;
+          this.emit(EVENTS.DOWNLOAD_PROGRESS, { ...meta, receivedBytes, totalBytes });
+        });
+        res.on('aborted', () => file.destroy(new Error('Connection closed mid-download')));
+        res.on('error', (err) => file.destroy(err));
         res.pipe(file);
-        file.on('finish', () => file.close(() => resolve()));
-        file.on('error', (err) => { fs.unlink(destPath, () => {}); reject(err); });
+        file.on('finish', () => file.close(() => {
+          if (totalBytes !== null && receivedBytes !== totalBytes) {
+            return reject(new Error(`Incomplete download (${receivedBytes}/${totalBytes} bytes)`));
+          }
+          fs.renameSync(partPath, destPath);
+          resolve({ contentLength: totalBytes, resumedFrom: startAt });
+        }));
+        file.on('error', reject);
       });
-      req.on('error', (err) => { fs.unlink(destPath, () => {}); reject(err); });
-      req.on('timeout', () => { req.destroy(); reject(new Error('Download timeout')); });
+      req.on('error', reject);
+      req.on('timeout', () => { req.destroy(new Error('Download timeout')); });
     });
+
     try {
-      return await attempt1();
+      return await attempt1(url);
     } catch (err) {
       if (attempt >= MAX_ATTEMPTS - 1) throw err;
-      const wait = Math.pow(2, attempt + 1) * 2000;
-      console.log(`  [Retry ${attempt + 1}/${MAX_ATTEMPTS - 1}] ${err.message} — waiting ${wait / 1000}s...`);
+      const wait = Math.pow(2, attempt + 1) * this.retryDelay;
+      log.warn(`Retry ${attempt + 1}/${MAX_ATTEMPTS - 1}: ${err.message} — waiting ${wait / 1000}s...`, { error: err, attempt: attempt + 1 });
       await new Promise(r => setTimeout(r, wait));
-      return this.downloadFile(url, destPath, attempt + 1);
+      return this.downloadFile(url, destPath, meta, attempt + 1);
+    }
+  }
+
+  // Folder a creation's files live in, relative to downloadsDir
+  creationFolder(creation) {
+    const safeName = creation.title.replace(/[^a-z0-9_\-]/gi, '_').toLowerCase();
+    return `${safeName}_${creation.id.slice(0, 8)}`;
+  }
+
+  // Files a creation maps to: one entry per wanted format of each result variant,
+  // laid out as <title>_<id>/v<N>/<file>. OBJ and MTL keep their served names
+  // so the OBJ's mtllib reference still resolves next to it.
+  planAssetFiles(creation) {
+    const folder = this.creationFolder(creation);
+    const formats = expandFormats(this.formats);
+
+    return this.provider.resolveDownloadUrls(creation, formats).map(({ variant, format, url }) => {
+      const filename = path.posix.join(folder, `v${variant}`, variantFilename(format, url));
+      return { variant, format, url, filename, destPath: path.join(this.downloadsDir, filename) };
+    });
+  }
+
+  // Texture files an MTL references, resolved against the MTL's URL and kept
+  // beside it. References that would escape the variant folder are skipped.
+  planTextureFiles(mtlFile, textures) {
+    const variantDir = path.posix.dirname(mtlFile.filename);
+    const files = [];
+    for (const ref of textures) {
+      const relative = path.posix.normalize(ref.replace(/\\/g, '/'));
+      if (relative.startsWith('..') || path.posix.isAbsolute(relative)) {
+        this.log('Texture', { variant: mtlFile.variant, filename: mtlFile.filename })
+          .warn(`Skipping unsafe texture reference "${ref}"`);
+        continue;
+      }
+      const filename = path.posix.join(variantDir, relative);
+      files.push({
+        variant: mtlFile.variant,
+        format: 'texture',
+        url: new URL(relative, mtlFile.url).href,
+        filename,
+        destPath: path.join(this.downloadsDir, filename),
+      });
     }
+    return files;
+  }
+
+  // One variant file: reuse a valid existing copy, else download and validate.
+  // Returns the manifest-ready file entry, or null on failure.
+  async downloadVariantFile(creation, file) {
+    const { id, title } = creation;
+    const { variant, format, url, filename, destPath } = file;
+    const log = this.log('Download', { creationId: id, variant, format, filename });
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+
+    if (fs.existsSync(destPath)) {
+      const size = fs.statSync(destPath).size;
+      const existing = await validateFile(destPath, { format });
+      if (existing.ok) {
+        log.info(`✓ Already exists (${(size / 1024 / 1024).toFixed(1)} MB)`, { size });
+        this.recordFile(id, file, { status: 'exists', size, bytes: 0 });
+        return { variant, format, filename, url, size, sha256: await sha256File(destPath), details: existing.details };
+      }
+    }
+
+    const started = Date.now();
+    try {
+      log.info(`Downloading ${filename}...`, { url });
+      const { contentLength, resumedFrom } = await this.pool.run(url, () =>
+        this.downloadFile(url, destPath, { creationId: id, title, variant, format, filename }));
+      const size = fs.statSync(destPath).size;
+      const timing = { bytes: size - (resumedFrom || 0), resumedFrom: resumedFrom || 0, durationMs: Date.now() - started };
+      const validation = await validateFile(destPath, { format, expectedSize: contentLength });
+      if (!validation.ok) {
+        log.warn(`✗ Invalid: ${validation.reason} - removing`, { reason: validation.reason });
+        this.recordFile(id, file, { status: 'failed', size, ...timing, error: validation.reason });
+        fs.unlinkSync(destPath);
+        return null;
+      }
+      const sha256 = await sha256File(destPath);
+      log.info(`✓ ${(size / 1024 / 1024).toFixed(1)} MB`, { size, sha256, ...timing });
+      this.recordFile(id, file, { status: 'downloaded', size, ...timing });
+      return { variant, format, filename, url, size, sha256, details: validation.details };
+    } catch (err) {
+      log.error(`✗ Failed: ${err.message}`, { error: err });
+      this.recordFile(id, file, { status: 'failed', bytes: 0, durationMs: Date.now() - started, error: err.message });
+      this.emitError('download', err, { creationId: id, variant, format, filename });
+      return null;
+    }
+  }
+
+  recordFile(creationId, { variant, format, filename }, result) {
+    if (this.report) this.report.recordFile(creationId, { variant, format, filename, ...result });
   }
 
   async downloadAsset(creation) {
     const { id, title, result } = creation;
-    // Formats we want to download per result variant
-    // API provides: glb (textured), obj, mtl, geometryGlb, textureGlb — no usdz key exists
-    const WANTED_FORMATS = ['glb'];
+    const log = this.log('Download', { creationId: id });
 
     if (!result || result.length === 0) {
-      console.log(`[Download] ✗ "${title}": no completed result variants`);
+      log.warn(`✗ "${title}": no completed result variants`);
+      this.emit(EVENTS.DOWNLOAD_COMPLETE, { creationId: id, title, success: false, downloaded: [], expectedCount: 0 });
       return { success: false, downloaded: [] };
     }
 
-    const safeName = title.replace(/[^a-z0-9_\-]/gi, '_').toLowerCase();
-    const idShort = id.slice(0, 8);
-    const downloaded = [];
-    let expectedCount = 0;
+    const files = this.planAssetFiles(creation);
+    const results = [];
+    const attempts = [];
     const MAX_ASSET_ATTEMPTS = 3;
 
-    console.log(`[Download] "${title}" — ${result.length} variant(s)...`);
-
-    for (let assetAttempt = 0; assetAttempt < MAX_ASSET_ATTEMPTS; assetAttempt++) {
-      if (assetAttempt > 0) {
-        console.log(`[Download] Retrying asset "${title}" (attempt ${assetAttempt + 1}/${MAX_ASSET_ATTEMPTS})...`);
-        downloaded.length = 0;
-        expectedCount = 0;
+    log.info(`"${title}" — ${result.length} variant(s)...`);
+
+    // Textures are only known once their MTL is on disk, so files can be added
+    // mid-loop; each file gets its own attempt budget.
+    for (;;) {
+      const pending = files.map((file, index) => index)
+        .filter(index => !results[index] && (attempts[index] || 0) < MAX_ASSET_ATTEMPTS);
+      if (pending.length === 0) break;
+      const retries = pending.filter(index => attempts[index] > 0).length;
+      if (retries > 0) {
+        log.info(`Retrying ${retries} file(s) of "${title}"...`);
       }
 
-      for (let vi = 0; vi < result.length; vi++) {
-        const variant = result[vi];
-        const urls = variant.urlResult || {};
-
-        for (const format of WANTED_FORMATS) {
-          const url = urls[format];
-          if (!url || typeof url !== 'string') continue;
-          expectedCount++;
-
-          const ext = url.split('?')[0].split('.').pop().toLowerCase() || format;
-          const filename = `${safeName}_${idShort}_v${vi + 1}.${ext}`;
-          const destPath = path.join(DOWNLOADS_DIR, filename);
-
-          if (fs.existsSync(destPath)) {
-            const size = fs.statSync(destPath).size;
-            if (size > 5 * 1024 * 1024) {
-              console.log(`  [v${vi + 1}/${format}] ✓ Already exists (${(size / 1024 / 1024).toFixed(1)} MB)`);
-              downloaded.push({ format, filename, size });
-              continue;
-            }
+      // All variants go through the pool together; deletion waits for every one
+      await Promise.all(pending.map(async (index) => {
+        attempts[index] = (attempts[index] || 0) + 1;
+        results[index] = await this.downloadVariantFile(creation, files[index]);
+        const entry = results[index];
+        if (entry && entry.format === 'mtl' && entry.details && entry.details.textures.length > 0) {
+          for (const texture of this.planTextureFiles(files[index], entry.details.textures)) {
+            if (!files.some(f => f.destPath === texture.destPath)) files.push(texture);
           }
+        }
+      }));
+    }
 
-          try {
-            console.log(`  [v${vi + 1}/${format}] Downloading ${filename}...`);
-            await this.downloadFile(url, destPath);
-            const size = fs.statSync(destPath).size;
-            if (size < 5 * 1024 * 1024) {
-              console.log(`  [v${vi + 1}/${format}] ✗ Too small (${(size / 1024 / 1024).toFixed(1)} MB) - removing`);
-              fs.unlinkSync(destPath);
-            } else {
-              console.log(`  [v${vi + 1}/${format}] ✓ ${(size / 1024 / 1024).toFixed(1)} MB`);
-              downloaded.push({ format, filename, size });
-            }
-          } catch (err) {
-            console.log(`  [v${vi + 1}/${format}] ✗ Failed: ${err.message}`);
-          }
+    const expectedCount = files.length;
+    const downloaded = results.filter(Boolean).map(({ details, ...file }) => file);
+    const success = expectedCount > 0 && downloaded.length === expectedCount;
+    this.emit(EVENTS.DOWNLOAD_COMPLETE, { creationId: id, title, success, downloaded, expectedCount });
+    return { success, downloaded, expectedCount };
+  }
+
+  // HEAD request for the size of a remote file, following redirects; null if unknown
+  async fetchContentLength(url, redirects = 0) {
+    const https = require('https');
+    const http = require('http');
+    const proto = url.startsWith('https') ? https : http;
+    return new Promise((resolve) => {
+      const req = proto.request(url, { method: 'HEAD', timeout: 30000 }, (res) => {
+        res.resume();
+        if ((res.statusCode === 301 || res.statusCode === 302) && res.headers.location && redirects < 5) {
+          return this.fetchContentLength(new URL(res.headers.location, url).href, redirects + 1).then(resolve);
         }
+        const length = parseInt(res.headers['content-length'], 10);
+        resolve(res.statusCode === 200 && length >= 0 ? length : null);
+      });
+      req.on('error', () => resolve(null));
+      req.on('timeout', () => { req.destroy(); resolve(null); });
+      req.end();
+    });
+  }
+
+  // Dry-run plan: what run() would download and delete, without touching disk or server
+  async planRun(assets) {
+    const creations = [];
+    let estimatedBytes = 0;
+    let unknownSizes = 0;
+
+    for (const creation of assets) {
+      const files = [];
+      for (const file of this.planAssetFiles(creation)) {
+        const existingSize = fs.existsSync(file.destPath) ? fs.statSync(file.destPath).size : null;
+        const exists = existingSize !== null && (await validateFile(file.destPath, { format: file.format })).ok;
+        const remoteBytes = exists ? null : await this.fetchContentLength(file.url);
+        if (!exists) {
+          if (remoteBytes === null) unknownSizes++;
+          else estimatedBytes += remoteBytes;
+        }
+        files.push({
+          variant: file.variant,
+          format: file.format,
+          filename: file.filename,
+          action: exists ? 'exists' : 'download',
+          existingSize,
+          remoteBytes,
+        });
       }
 
-      if (downloaded.length === expectedCount) break;
+      const wouldDelete = files.length > 0 && (
+        this.deletePolicy === 'after-download' ||
+        (this.deletePolicy === 'after-convert' && !this.skipConvert) ||
+        (this.deletePolicy === 'after-days' && this.isDeletionDue(creation.id))
+      );
+      creations.push({ id: creation.id, title: creation.title, files, wouldDelete });
+      this.log('Plan', { creationId: creation.id }).info(`"${creation.title}": ${files.filter(f => f.action === 'download').length} to download, ${files.filter(f => f.action === 'exists').length} existing${wouldDelete ? ', would delete' : ''}`);
     }
 
-    const success = expectedCount > 0 && downloaded.length === expectedCount;
-    return { success, downloaded, expectedCount };
+    return {
+      generatedAt: new Date().toISOString(),
+      downloadsDir: this.downloadsDir,
+      formats: this.formats,
+      deletePolicy: this.deletePolicy,
+      creations,
+      totals: {
+        creations: creations.length,
+        toDownload: creations.reduce((n, c) => n + c.files.filter(f => f.action === 'download').length, 0),
+        existing: creations.reduce((n, c) => n + c.files.filter(f => f.action === 'exists').length, 0),
+        toDelete: creations.filter(c => c.wouldDelete).length,
+        estimatedBytes,
+        unknownSizes,
+      },
+    };
   }
 
   async deleteAsset(asset) {
     const { id, title } = asset;
-    console.log(`[Delete] Deleting "${title}" (${id})...`);
+    const log = this.log('Delete', { creationId: id });
+    log.info(`Deleting "${title}" (${id})...`);
 
     try {
-      const result = await this.page.evaluate(async (assetId) => {
-        try {
-          const res = await fetch('/api/3d/creations/delete', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ creationsIdList: [assetId] }),
-          });
-          const text = await res.text().catch(() => '');
-          return { ok: res.ok, status: res.status, body: text.substring(0, 200) };
-        } catch (e) {
-          return { ok: false, error: e.message };
-        }
-      }, id);
+      const result = this.mode === 'api'
+        ? await this.api.deleteCreation(id)
+        : await this.provider.deleteCreationInPage(this.page, id);
+
+      if (this.mode === 'browser' && isSessionExpiredResponse(result.status)) {
+        throw new SessionExpiredError(`Delete answered HTTP ${result.status}`);
+      }
 
       if (result.ok) {
-        console.log(`[Delete] ✓ "${title}" deleted (HTTP ${result.status})`);
+        log.info(`✓ "${title}" deleted (HTTP ${result.status})`, { status: result.status });
+        if (this.report) this.report.recordDelete(id, { deleted: true, status: result.status });
+        this.emit(EVENTS.DELETE_COMPLETE, { creationId: id, title, deleted: true });
         return true;
       } else {
         const detail = result.error || `HTTP ${result.status}: ${result.body}`;
-        console.log(`[Delete] ✗ "${title}" failed: ${detail}`);
+        log.error(`✗ "${title}" failed: ${detail}`, { status: result.status });
+        if (this.report) this.report.recordDelete(id, { deleted: false, status: result.status || null, error: detail });
+        this.emit(EVENTS.DELETE_COMPLETE, { creationId: id, title, deleted: false });
+        this.emitError('delete', new Error(detail), { creationId: id });
         return false;
       }
     } catch (err) {
-      console.log(`[Delete] ✗ Error: ${err.message}`);
+      if (err instanceof SessionExpiredError) throw err;
+      log.error(`✗ Error: ${err.message}`, { error: err });
+      if (this.report) this.report.recordDelete(id, { deleted: false, error: err.message });
+      this.emit(EVENTS.DELETE_COMPLETE, { creationId: id, title, deleted: false });
+      this.emitError('delete', err, { creationId: id });
       return false;
     }
   }
 
+  isDeletionDue(creationId) {
+    const entry = this.manifest.get(creationId);
+    if (!entry || this.manifest.isDeleted(creationId) || !this.manifest.isVerified(creationId)) return false;
+
+    switch (this.deletePolicy) {
+      case 'after-download':
+        return true;
+      case 'after-convert':
+        return this.manifest.isConverted(creationId);
+      case 'after-days':
+        return Date.now() - Date.parse(entry.firstDownloadedAt) >= this.deleteAfterDays * DAY_MS;
+      default:
+        return false;
+    }
+  }
+
+  async deleteIfDue(asset) {
+    if (!this.isDeletionDue(asset.id)) return false;
+
+    const deleted = await this.deleteAsset(asset);
+    if (deleted) {
+      this.manifest.markDeleted(asset.id);
+      this.state.deletedItems.push({ id: asset.id, title: asset.title, deletedAt: new Date().toISOString() });
+      saveState(this.state, this.stateFile);
+    } else {
+      this.manifest.markDeleteFailed(asset.id, 'delete request failed');
+    }
+    return deleted;
+  }
+
   async convertDownloadedGlbs() {
-    const convertedDir = path.join(__dirname, 'converted');
+    return this.withRunLog('convert', () => this.convertDownloadedGlbsOnce(), { report: true });
+  }
+
+  async convertDownloadedGlbsOnce() {
+    const convertedDir = this.convertedDir;
+    const log = this.log('Convert');
     if (!fs.existsSync(convertedDir)) fs.mkdirSync(convertedDir, { recursive: true });
 
-    const glbFiles = fs.readdirSync(DOWNLOADS_DIR)
-      .filter(f => f.endsWith('.glb'))
+    if (!fs.existsSync(this.downloadsDir)) {
+      log.info('No downloads directory, nothing to do');
+      return;
+    }
+
+    // Converted files mirror the per-creation layout of downloads/
+    const glbFiles = listFiles(this.downloadsDir, '.glb')
       .filter(f => !fs.existsSync(path.join(convertedDir, f)));
 
     if (glbFiles.length === 0) {
-      console.log('\n[Convert] All GLBs already converted, nothing to do');
+      log.info('All GLBs already converted, nothing to do');
       return;
     }
 
-    console.log(`\n[Convert] Converting ${glbFiles.length} GLB file(s) with Draco + WebP quality 15...`);
+    log.info(`Converting ${glbFiles.length} GLB file(s) with preset ${describePreset(this.convertPreset)}...`);
 
     let movedCount = 0;
     for (const f of glbFiles) {
-      const srcPath = path.join(DOWNLOADS_DIR, f);
+      const srcPath = path.join(this.downloadsDir, f);
       const outPath = path.join(convertedDir, f);
-      const tmpPath = path.join(convertedDir, f + '.tmp.glb');
-      console.log(`  [Convert] ${f}...`);
+      const owner = this.manifest.findFile(f.split(path.sep).join('/'));
+      const fileLog = this.log('Convert', owner
+        ? { creationId: owner.entry.id, variant: owner.variant.variant, filename: f }
+        : { filename: f });
+      fileLog.info(`${f}...`);
+      const started = Date.now();
+      const conversion = owner
+        ? { filename: f, creationId: owner.entry.id, variant: owner.variant.variant }
+        : { filename: f };
       try {
-        await new Promise((resolve, reject) => {
-          const proc = spawn('npx', [
-            'gltf-transform', 'webp', srcPath, tmpPath,
-            '--quality', '15',
-          ], { stdio: ['ignore', 'pipe', 'pipe'], shell: true });
-          proc.stdout.on('data', d => { if (process.env.DEBUG_CONVERT) process.stdout.write(d); });
-          proc.stderr.on('data', d => { if (process.env.DEBUG_CONVERT) process.stderr.write(d); });
-          const timer = setTimeout(() => { proc.kill(); reject(new Error('webp timeout')); }, 50 * 60 * 1000);
-          proc.on('close', code => { clearTimeout(timer); code === 0 ? resolve() : reject(new Error(`webp exit ${code}`)); });
-          proc.on('error', err => { clearTimeout(timer); reject(err); });
+        fs.mkdirSync(path.dirname(outPath), { recursive: true });
+        const { sizeIn, sizeOut, durationMs } = await optimizeGlb(srcPath, outPath, this.convertPreset, { log: fileLog });
+        fileLog.info(`✓ ${f} (${(sizeIn/1024/1024).toFixed(1)} MB → ${(sizeOut/1024/1024).toFixed(1)} MB)`, { sizeIn, sizeOut, outputPath: outPath, durationMs });
+        if (this.report) {
+          this.report.recordConversion({ ...conversion, ok: true, preset: this.convertPreset.name, sizeIn, sizeOut, durationMs, outputPath: outPath });
+        }
+        fs.unlinkSync(srcPath);
+        movedCount++;
+        this.manifest.markConverted(f.split(path.sep).join('/'), outPath);
+        this.emit(EVENTS.CONVERT_COMPLETE, {
+          filename: f, inputPath: srcPath, outputPath: outPath, preset: this.convertPreset.name, sizeIn, sizeOut,
         });
+      } catch (err) {
+        // A ConversionError's stage says which step broke (read, textures, compress...)
+        const step = err.stage || null;
+        fileLog.error(`✗ ${f}: ${err.message}`, { error: err, step });
+        this.emitError('convert', err, { filename: f });
+        if (this.report) {
+          this.report.recordConversion({
+            ...conversion, ok: false, preset: this.convertPreset.name, step, durationMs: Date.now() - started, error: err.message,
+          });
+        }
+      }
+    }
 
-        await new Promise((resolve, reject) => {
-          const proc = spawn('npx', [
-            'gltf-transform', 'optimize', tmpPath, outPath,
-            '--compress', 'draco', '--texture-compress', 'false', '--weld', 'true',
-          ], { stdio: ['ignore', 'pipe', 'pipe'], shell: true });
-          proc.stdout.on('data', d => { if (process.env.DEBUG_CONVERT) process.stdout.write(d); });
-          proc.stderr.on('data', d => { if (process.env.DEBUG_CONVERT) process.stderr.write(d); });
-          const timer = setTimeout(() => { proc.kill(); reject(new Error('optimize timeout')); }, 50 * 60 * 1000);
-          proc.on('close', code => { clearTimeout(timer); code === 0 ? resolve() : reject(new Error(`optimize exit ${code}`)); });
-          proc.on('error', err => { clearTimeout(timer); reject(err); });
-        });
+    const done = listFiles(convertedDir, '.glb');
+    log.info(`Done — ${done.length} file(s) in ${convertedDir}, ${movedCount} source(s) removed from ${this.downloadsDir}`);
+  }
 
-        if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
+  // The full creations list, from the page (browser mode) or the API directly
+  async collectAssets() {
+    if (this.mode === 'api') {
+      this.log('API').info('Listing creations...');
+      return this.api.listCreations();
+    }
 
-        const sizeIn = fs.statSync(srcPath).size;
-        const sizeOut = fs.statSync(outPath).size;
-        console.log(`  [Convert] ✓ ${f} (${(sizeIn/1024/1024).toFixed(1)} MB → ${(sizeOut/1024/1024).toFixed(1)} MB)`);
-        fs.unlinkSync(srcPath);
-        movedCount++;
+    // Start fetching asset list (captures the API response triggered by navigation)
+    const assetListPromise = this.fetchAssetList();
+
+    await this.navigateToAssets();
+    const itemCount = await this.waitForListItems();
+
+    if (this.sessionExpired) {
+      throw new SessionExpiredError('Asset list request was refused');
+    }
+    if (itemCount === 0) {
+      this.log('List').info('No assets available on account');
+      return [];
+    }
+
+    this.log('List').info(`Found ${itemCount} assets, waiting for API data...`);
+    const assets = await assetListPromise;
+    if (assets.length === 0) {
+      this.log('List').error('Could not retrieve asset data from API');
+    }
+    return assets;
+  }
+
+  // The listed creations this run works on; `isDone` marks creations that
+  // do not count against the selection's limit
+  selectAssets(assets, { quiet = false, isDone = null } = {}) {
+    if (!this.selection.active) return assets;
+    const selected = this.selection.apply(assets, { isDone });
+    const message = `${selected.length} of ${assets.length} creation(s) selected (${this.selection.describe()})`;
+    if (quiet) this.log('Select').debug(message); else this.log('Select').info(message);
+    return selected;
+  }
+
+  // Run `work` with a usable session. If the server reports the session
+  // expired part-way, invalidate it and, when interactive, log in and retry once.
+  async withSession(work) {
+    for (let attempt = 0; ; attempt++) {
+      await this.session.ensure({ interactive: this.interactiveLogin });
+      this.sessionExpired = false;
+      try {
+        return await work();
       } catch (err) {
-        console.log(`  [Convert] ✗ ${f}: ${err.message}`);
-        if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
+        if (!(err instanceof SessionExpiredError)) throw err;
+        this.session.invalidate(err.message);
+        if (!this.interactiveLogin || attempt > 0) {
+          throw new SessionExpiredError(`${err.message} — run "${this.session.loginCommand}" to log in again`);
+        }
       }
     }
+  }
 
-    const done = fs.readdirSync(convertedDir).filter(f => f.endsWith('.glb'));
-    console.log(`[Convert] Done — ${done.length} file(s) in converted/, ${movedCount} source(s) removed from downloads/`);
+  async listAssets() {
+    return this.withRunLog('list', () => this.withSession(() => this.listAssetsOnce()));
   }
 
-  async run() {
+  async listAssetsOnce(selectOptions = {}) {
     try {
       await this.init();
-      console.log('\n[START] Asset download workflow started\n');
+      const assets = this.selectAssets(await this.collectAssets(), selectOptions);
+      assets.forEach((creation, index) => {
+        this.emit(EVENTS.ASSET_DISCOVERED, { index, total: assets.length, creation });
+      });
+      if (!this.dryRun) await this.saveSession();
+      return assets;
+    } finally {
+      await this.close();
+    }
+  }
+
+  async plan() {
+    this.log('Plan').info('Dry run — nothing will be downloaded or deleted');
+    const assets = await this.withSession(() => this.listAssetsOnce({ isDone: asset => this.isInLibrary(asset) }));
+    return this.planRun(assets);
+  }
+
+  isInLibrary(asset) {
+    return this.manifest.isVerified(asset.id);
+  }
 
-      if (!fs.existsSync(DOWNLOADS_DIR)) {
-        fs.mkdirSync(DOWNLOADS_DIR, { recursive: true });
+  // Download one creation and, if the policy allows, delete it right away
+  async processAsset(asset, i, total) {
+    const prefix = `[${i + 1}/${total}]`;
+    const log = this.log('Asset', { creationId: asset.id });
+    log.info(`${prefix} "${asset.title}" (${asset.result.length} variants)`, { title: asset.title });
+
+    if (this.isInLibrary(asset)) {
+      log.info(`${prefix} ✓ Already in library — not downloading again`);
+      if (this.report) this.report.recordOutcome(asset.id, asset.title, 'in-library');
+      // Still on the server: the delete failed on an earlier run, so try again
+      let deleted = false;
+      if (this.deletePolicy === 'after-download' && !this.manifest.isDeleted(asset.id)) {
+        log.info(`${prefix} Still on the server — retrying delete`);
+        deleted = await this.deleteIfDue(asset);
       }
+      return { downloaded: 0, deleted, complete: true };
+    }
 
-      // Start fetching asset list (captures the API response triggered by navigation)
-      const assetListPromise = this.fetchAssetList();
+    const { success, downloaded, expectedCount } = await this.downloadAsset(asset);
 
-      await this.navigateToAssets();
-      const itemCount = await this.waitForListItems();
+    if (success && downloaded.length > 0) {
+      this.manifest.recordDownload(asset, downloaded);
+      if (this.report) this.report.recordOutcome(asset.id, asset.title, 'downloaded');
 
-      if (itemCount === 0) {
-        console.log('[INFO] No assets available on account');
-        await this.saveSession();
-        return;
+      let deleted = false;
+      if (this.deletePolicy === 'after-download') {
+        log.info(`${prefix} ✓ All ${downloaded.length} files of "${asset.title}" verified — deleting from server`);
+        deleted = await this.deleteIfDue(asset);
+      } else {
+        log.info(`${prefix} ✓ All ${downloaded.length} files of "${asset.title}" verified — delete policy: ${this.deletePolicy}`);
       }
 
-      console.log(`\n[INFO] Found ${itemCount} assets, waiting for API data...`);
-      const assets = await assetListPromise;
+      this.state.processedCount++;
+      saveState(this.state, this.stateFile);
+      return { downloaded: downloaded.length, deleted, complete: true };
+    }
 
-      if (assets.length === 0) {
-        console.log('[ERROR] Could not retrieve asset data from API');
-        await this.saveSession();
-        return;
-      }
+    if (downloaded.length > 0) {
+      log.warn(`${prefix} ⚠ "${asset.title}" partial (${downloaded.length}/${expectedCount}) — skipping delete`);
+    } else {
+      log.error(`${prefix} ✗ "${asset.title}": no files downloaded`);
+    }
+    if (this.report) this.report.recordOutcome(asset.id, asset.title, downloaded.length > 0 ? 'partial' : 'failed');
+    return { downloaded: downloaded.length, deleted: false, complete: false };
+  }
 
-      console.log(`\n[INFO] Processing ${assets.length} assets...\n`);
+  // Download, convert and apply the delete policy to `assets`. Policies that
+  // delete later (after-convert, after-days) are checked for every creation
+  // in `deleteCandidates`, which watch mode sets to the whole listing.
+  async processAssets(assets, { deleteCandidates = assets } = {}) {
+    assets.forEach((creation, index) => {
+      this.emit(EVENTS.ASSET_DISCOVERED, { index, total: assets.length, creation });
+    });
 
-      let totalDownloaded = 0;
-      let totalDeleted = 0;
+    let totalDownloaded = 0;
+    let totalDeleted = 0;
 
-      for (let i = 0; i < assets.length; i++) {
-        const asset = assets[i];
-        console.log(`\n[${i + 1}/${assets.length}] "${asset.title}" (${asset.result.length} variants)`);
+    // Creations run in parallel (bounded); their files share the download pool
+    const outcomes = await mapConcurrent(assets, this.concurrency, (asset, i) => this.processAsset(asset, i, assets.length));
+    for (const outcome of outcomes) {
+      totalDownloaded += outcome.downloaded;
+      if (outcome.deleted) totalDeleted++;
+    }
 
-        const { success, downloaded, expectedCount } = await this.downloadAsset(asset);
+    // A watch poll that fetched nothing new has nothing to convert
+    const convert = !this.watching || totalDownloaded > 0;
+    if (convert && this.skipConvert) {
+      this.log('Convert').info('Skipped');
+    } else if (convert) {
+      await this.convertDownloadedGlbs();
+    }
 
-        if (success && downloaded.length > 0) {
-          totalDownloaded += downloaded.length;
-          console.log(`[${i + 1}/${assets.length}] ✓ All ${downloaded.length} files downloaded — deleting from server`);
+    if (this.deletePolicy === 'after-convert' || this.deletePolicy === 'after-days') {
+      for (const asset of deleteCandidates) {
+        if (await this.deleteIfDue(asset)) totalDeleted++;
+      }
+    }
 
-          const deleted = await this.deleteAsset(asset);
-          if (deleted) totalDeleted++;
+    const summary = { assetsProcessed: assets.length, filesDownloaded: totalDownloaded, assetsDeleted: totalDeleted };
+    return { summary, outcomes };
+  }
 
-          this.state.processedCount++;
-          saveState(this.state);
-        } else if (downloaded.length > 0) {
-          console.log(`[${i + 1}/${assets.length}] ⚠ Partial (${downloaded.length}/${expectedCount}) — skipping delete`);
-          totalDownloaded += downloaded.length;
-        } else {
-          console.log(`[${i + 1}/${assets.length}] ✗ No files downloaded`);
-        }
+  async run() {
+    if (this.dryRun) return this.withRunLog('plan', () => this.plan());
+    return this.withRunLog('download', () => this.withSession(() => this.runOnce()), { report: true });
+  }
+
+  async runOnce() {
+    try {
+      await this.init();
+      const log = this.log('Run');
+      log.info('Asset download workflow started');
+
+      if (!fs.existsSync(this.downloadsDir)) {
+        fs.mkdirSync(this.downloadsDir, { recursive: true });
       }
 
-      await this.convertDownloadedGlbs();
+      const assets = this.selectAssets(await this.collectAssets(), { isDone: asset => this.isInLibrary(asset) });
+      if (assets.length === 0) {
+        await this.saveSession();
+        return { assetsProcessed: 0, filesDownloaded: 0, assetsDeleted: 0 };
+      }
+
+      log.info(`Processing ${assets.length} assets...`);
+      const { summary } = await this.processAssets(assets);
       await this.saveSession();
+      log.info(`Workflow complete — ${assets.length} assets processed, ${summary.filesDownloaded} files downloaded, ${summary.assetsDeleted} assets deleted`, summary);
 
-      console.log('\n' + '═'.repeat(60));
-      console.log(`  SUMMARY`);
-      console.log('═'.repeat(60));
-      console.log(`  Assets processed:   ${assets.length}`);
-      console.log(`  Files downloaded:   ${totalDownloaded}`);
-      console.log(`  Assets deleted:     ${totalDeleted}`);
-      console.log('═'.repeat(60));
-      console.log('\n[END] Workflow complete');
+      return summary;
 
     } catch (error) {
-      console.error('\n[FATAL]', error.message);
-      process.exit(1);
+      this.emitError('run', error);
+      throw error;
     } finally {
       await this.close();
     }
   }
+
+  // Keep one session open and poll the list until stopWatching(). Each poll
+  // processes only creations no earlier poll finished (state.seenCreations);
+  // failed polls back off exponentially up to watchMaxBackoff.
+  async watch() {
+    if (this.dryRun) throw new Error('Watch mode cannot be combined with a dry run');
+    return this.withRunLog('watch', () => this.watchLoop());
+  }
+
+  // Finish the poll in progress, close the session and resolve watch()
+  stopWatching() {
+    if (!this.watching) return;
+    this.watching = false;
+    this.log('Watch').info('Stopping after the current poll...');
+    if (this.wakeWatch) this.wakeWatch();
+  }
+
+  async watchLoop() {
+    const log = this.log('Watch');
+    this.watching = true;
+    this.state.seenCreations = this.state.seenCreations || {};
+    this.state.watchAttempts = this.state.watchAttempts || {};
+    const totals = { polls: 0, assetsProcessed: 0, filesDownloaded: 0, assetsDeleted: 0 };
+    let failures = 0;
+    let open = false;
+    log.info(`Watching for new creations every ${(this.watchInterval / 1000).toFixed(0)}s`);
+
+    try {
+      while (this.watching) {
+        const n = ++totals.polls;
+        try {
+          if (!open) {
+            await this.session.ensure({ interactive: this.interactiveLogin });
+            this.sessionExpired = false;
+            await this.init();
+            open = true;
+          }
+          const summary = await this.poll(n);
+          totals.assetsProcessed += summary.assetsProcessed;
+          totals.filesDownloaded += summary.filesDownloaded;
+          totals.assetsDeleted += summary.assetsDeleted;
+          failures = 0;
+        } catch (err) {
+          if (open && (err instanceof SessionExpiredError || this.mode === 'browser')) {
+            // Start the next poll from a fresh session (and browser)
+            await this.close().catch(() => {});
+            open = false;
+          }
+          if (err instanceof SessionExpiredError) {
+            this.session.invalidate(err.message);
+            if (!this.interactiveLogin) {
+              throw new SessionExpiredError(`${err.message} — run "${this.session.loginCommand}" to log in again`);
+            }
+          }
+          failures++;
+          this.emitError('watch', err);
+          log.error(`✗ Poll failed: ${err.message}`, { error: err, failures });
+        }
+
+        if (!this.watching) break;
+        const delay = failures === 0
+          ? this.watchInterval
+          : Math.min(this.watchInterval * 2 ** failures, this.watchMaxBackoff);
+        if (failures > 0) log.warn(`${failures} failed poll(s) in a row — next try in ${(delay / 1000).toFixed(0)}s`);
+        await this.sleepUntilNextPoll(delay);
+      }
+    } finally {
+      this.watching = false;
+      if (open) await this.close();
+    }
+
+    log.info(`Stopped after ${totals.polls} poll(s) — ${totals.assetsProcessed} new creations, ${totals.filesDownloaded} files downloaded, ${totals.assetsDeleted} deleted`, totals);
+    return totals;
+  }
+
+  sleepUntilNextPoll(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(done, ms);
+      function done() {
+        clearTimeout(timer);
+        resolve();
+      }
+      this.wakeWatch = done;
+    }).finally(() => { this.wakeWatch = null; });
+  }
+
+  // One watch poll: list, pick out unseen creations and process them. Polls
+  // that do anything get their own run report (<runId>-p<n>.json).
+  async poll(n) {
+    const log = this.log('Watch');
+    const reportId = `${this.runId}-p${String(n).padStart(4, '0')}`;
+
+    return this.withReport('watch', reportId, async () => {
+      if (!fs.existsSync(this.downloadsDir)) fs.mkdirSync(this.downloadsDir, { recursive: true });
+      const seen = this.state.seenCreations;
+      const assets = this.selectAssets(await this.collectAssets(), { quiet: true, isDone: asset => !!seen[asset.id] });
+      const fresh = assets.filter(asset => !seen[asset.id]);
+      const message = `Poll ${n}: ${assets.length} creation(s) listed, ${fresh.length} new`;
+      if (fresh.length > 0) log.info(message); else log.debug(message);
+
+      const { summary, outcomes } = await this.processAssets(fresh, { deleteCandidates: assets });
+
+      fresh.forEach((asset, i) => {
+        if (outcomes[i].complete) {
+          seen[asset.id] = new Date().toISOString();
+          delete this.state.watchAttempts[asset.id];
+          return;
+        }
+        const attempts = (this.state.watchAttempts[asset.id] || 0) + 1;
+        this.state.watchAttempts[asset.id] = attempts;
+        const assetLog = this.log('Watch', { creationId: asset.id });
+        if (attempts >= MAX_WATCH_ATTEMPTS) {
+          seen[asset.id] = new Date().toISOString();
+          delete this.state.watchAttempts[asset.id];
+          assetLog.warn(`✗ "${asset.title}" failed ${attempts} polls in a row — giving up; a download run will retry it`);
+        } else {
+          assetLog.warn(`⚠ "${asset.title}" incomplete — retrying next poll (${attempts}/${MAX_WATCH_ATTEMPTS})`);
+        }
+      });
+      saveState(this.state, this.stateFile);
+      await this.saveSession();
+
+      this.emit(EVENTS.POLL_COMPLETE, { poll: n, listed: assets.length, fresh: fresh.length, summary });
+      return summary;
+    }, { skipEmpty: true });
+  }
+}
+
+module.exports = OptimizedDownloader;
+module.exports.EVENTS = EVENTS;
+module.exports.loadState = loadState;
+module.exports.SessionExpiredError = SessionExpiredError;
+module.exports.DEFAULT_FORMATS = DEFAULT_FORMATS;
+module.exports.listFiles = listFiles;
+module.exports.variantFilename = variantFilename;
+module.exports.DELETE_POLICIES = DELETE_POLICIES;
+module.exports.SourceProvider = SourceProvider;
+module.exports.registerProvider = registerProvider;
+module.exports.CreationSelection = CreationSelection;
+
+if (require.main === module) {
+  require('./cli').main(process.argv.slice(2)).catch(err => {
+    logger.child({ component: 'FATAL' }).error(err.message);
+    process.exit(1);
+  });
 }
 
-// Main execution
-const downloader = new OptimizedDownloader();
-downloader.run().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const { NodeIO } = require('@gltf-transform/core');
+const { ALL_EXTENSIONS } = require('@gltf-transform/extensions');
+const { dedup, prune, weld, simplify, textureCompress, draco, meshopt } = require('@gltf-transform/functions');
+const draco3d = require('draco3dgltf');
+const { MeshoptEncoder, MeshoptDecoder, MeshoptSimplifier } = require('meshoptimizer');
+const sharp = require('sharp');
+const logger = require('./logger');
+
+/**
+ * GLB optimisation, in-process with the gltf-transform API
+ *
+ * A preset sets:
+ *   textureFormat   'webp', 'jpeg', 'png' or null to keep each texture's format
+ *   textureQuality  1-100 for lossy formats
+ *   maxTextureSize  longest texture edge in pixels, or null to keep sizes
+ *   compression     mesh compression: 'draco', 'meshopt' or null
+ *   weld            merge duplicate vertices
+ *   simplify        null, or { ratio, error } for meshoptimizer's simplifier
+ *                   (ratio: target share of vertices kept; error: the most
+ *                   deviation allowed, as a share of the mesh's size)
+ *
+ * web-tiny is what conversion always did (WebP q15 at the original texture
+ * size, Draco, weld, light simplification); archive keeps every texture and vertex and only drops
+ * duplicate and unused data.
+ */
+const PRESETS = {
+  'web-tiny': {
+    textureFormat: 'webp',
+    textureQuality: 15,
+    maxTextureSize: null,
+    compression: 'draco',
+    weld: true,
+    simplify: { ratio: 0, error: 0.0001 },
+  },
+  'web-hq': {
+    textureFormat: 'webp',
+    textureQuality: 85,
+    maxTextureSize: 4096,
+    compression: 'meshopt',
+    weld: true,
+    simplify: null,
+  },
+  archive: {
+    textureFormat: null,
+    textureQuality: null,
+    maxTextureSize: null,
+    compression: null,
+    weld: false,
+    simplify: null,
+  },
+};
+
+const DEFAULT_PRESET = 'web-tiny';
+const TEXTURE_FORMATS = ['webp', 'jpeg', 'png'];
+const COMPRESSIONS = ['draco', 'meshopt'];
+
+/**
+ * A file that could not be converted. `stage` says where it failed: read,
+ * weld, simplify, textures, compress or write.
+ */
+class ConversionError extends Error {
+  constructor(message, { stage, inputPath, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ConversionError';
+    this.stage = stage;
+    this.inputPath = inputPath;
+  }
+}
+
+/**
+ * Preset settings from a name, or from { preset, ...overrides } to adjust a
+ * named preset (web-tiny when none is given). Throws on unknown names or values.
+ */
+function resolvePreset(spec = DEFAULT_PRESET) {
+  const { preset: baseName = DEFAULT_PRESET, ...overrides } = typeof spec === 'string' ? { preset: spec } : spec;
+  const base = PRESETS[baseName];
+  if (!base) {
+    throw new Error(`Unknown conversion preset "${baseName}" (expected ${Object.keys(PRESETS).join(', ')})`);
+  }
+  const preset = { name: baseName, ...base, ...overrides };
+
+  if (preset.textureFormat !== null && !TEXTURE_FORMATS.includes(preset.textureFormat)) {
+    throw new Error(`Unknown texture format "${preset.textureFormat}" (expected ${TEXTURE_FORMATS.join(', ')} or null)`);
+  }
+  if (preset.textureQuality !== null && !(preset.textureQuality >= 1 && preset.textureQuality <= 100)) {
+    throw new Error(`Invalid texture quality: ${preset.textureQuality}`);
+  }
+  if (preset.maxTextureSize !== null && !(Number.isInteger(preset.maxTextureSize) && preset.maxTextureSize > 0)) {
+    throw new Error(`Invalid max texture size: ${preset.maxTextureSize}`);
+  }
+  if (preset.compression !== null && !COMPRESSIONS.includes(preset.compression)) {
+    throw new Error(`Unknown mesh compression "${preset.compression}" (expected ${COMPRESSIONS.join(', ')} or null)`);
+  }
+  return preset;
+}
+
+// "web-tiny (WebP q15, ≤2048px, Draco, weld, simplify)"
+function describePreset(preset) {
+  const parts = [];
+  if (preset.textureFormat) {
+    const quality = preset.textureFormat === 'png' || preset.textureQuality === null ? '' : ` q${preset.textureQuality}`;
+    parts.push(`${preset.textureFormat === 'webp' ? 'WebP' : preset.textureFormat.toUpperCase()}${quality}`);
+  }
+  if (preset.maxTextureSize) parts.push(`≤${preset.maxTextureSize}px`);
+  if (preset.compression) parts.push(preset.compression === 'draco' ? 'Draco' : 'meshopt');
+  if (preset.weld) parts.push('weld');
+  if (preset.simplify) parts.push('simplify');
+  return `${preset.name} (${parts.join(', ') || 'lossless'})`;
+}
+
+// The encoders load WebAssembly, so one IO is set up on first use and shared
+let ioReady = null;
+function getIO() {
+  if (!ioReady) {
+    ioReady = (async () => {
+      await Promise.all([MeshoptEncoder.ready, MeshoptDecoder.ready, MeshoptSimplifier.ready]);
+      return new NodeIO()
+        .registerExtensions(ALL_EXTENSIONS)
+        .registerDependencies({
+          'draco3d.decoder': await draco3d.createDecoderModule(),
+          'draco3d.encoder': await draco3d.createEncoderModule(),
+          'meshopt.decoder': MeshoptDecoder,
+          'meshopt.encoder': MeshoptEncoder,
+        });
+    })();
+  }
+  return ioReady;
+}
+
+/**
+ * Optimise one GLB into outputPath (written atomically). `preset` is a name,
+ * a { preset, ...overrides } spec or resolvePreset()'s result; gltf-transform's
+ * own messages go to `log` at debug level. Resolves { inputPath, outputPath,
+ * preset, sizeIn, sizeOut, durationMs }; rejects with a ConversionError.
+ */
+async function optimizeGlb(inputPath, outputPath, presetSpec, { log = logger.child({ component: 'Convert' }) } = {}) {
+  const preset = presetSpec && presetSpec.name ? presetSpec : resolvePreset(presetSpec);
+  const started = Date.now();
+  let stage = 'read';
+
+  try {
+    const io = await getIO();
+    const document = await io.read(inputPath);
+    document.setLogger({
+      debug: message => log.debug(message),
+      info: message => log.debug(message),
+      warn: message => log.warn(message),
+      error: message => log.error(message),
+    });
+
+    await document.transform(dedup(), prune());
+    if (preset.weld) {
+      stage = 'weld';
+      await document.transform(weld());
+    }
+    if (preset.simplify) {
+      stage = 'simplify';
+      await document.transform(simplify({ simplifier: MeshoptSimplifier, ...preset.simplify }));
+    }
+    if (preset.textureFormat || preset.maxTextureSize) {
+      stage = 'textures';
+      await document.transform(textureCompress({
+        encoder: sharp,
+        ...(preset.textureFormat && { targetFormat: preset.textureFormat }),
+        ...(preset.textureQuality !== null && { quality: preset.textureQuality }),
+        ...(preset.maxTextureSize && { resize: [preset.maxTextureSize, preset.maxTextureSize] }),
+      }));
+    }
+    if (preset.compression) {
+      stage = 'compress';
+      await document.transform(preset.compression === 'draco'
+        ? draco({ method: 'edgebreaker' })
+        : meshopt({ encoder: MeshoptEncoder, level: 'medium' }));
+    }
+
+    stage = 'write';
+    const data = await io.writeBinary(document);
+    const tempPath = outputPath + '.tmp';
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, outputPath);
+
+    return {
+      inputPath,
+      outputPath,
+      preset: preset.name,
+      sizeIn: fs.statSync(inputPath).size,
+      sizeOut: data.length,
+      durationMs: Date.now() - started,
+    };
+  } catch (err) {
+    if (fs.existsSync(outputPath + '.tmp')) fs.unlinkSync(outputPath + '.tmp');
+    throw new ConversionError(`${stage} failed: ${err.message}`, { stage, inputPath, cause: err });
+  }
+}
+
+module.exports = { optimizeGlb, getIO, resolvePreset, describePreset, PRESETS, DEFAULT_PRESET, ConversionError };
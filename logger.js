@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+/**
+ * Logger - Shared structured logging
+ *
+ * Every module logs through a child of the one root logger:
+ *
+ *   const log = require('./logger').child({ component: 'Download' });
+ *   log.info('✓ Saved', { creationId, variant, bytes });
+ *
+ * Each entry goes to the console in the familiar "[Component] message" form
+ * and, while a run is active, as one JSON object per line to
+ * <logsDir>/<runId>.jsonl. Context given to child() (component, creationId,
+ * variant, format, filename...) is carried on every line, so one asset's
+ * history can be grepped out of old logs by its id.
+ *
+ * Levels: debug, info, warn, error (and silent). Only the console is
+ * filtered by level; the run file always gets debug and up.
+ */
+class Logger {
+  constructor(context = {}, root = null) {
+    this.context = context;
+    this.root = root || this;
+    if (!root) {
+      this.level = 'info';
+      this.stream = process.stdout;
+      this.errorStream = process.stderr;
+      this.runId = null;
+      this.runFile = null;
+      this.runFd = null;
+    }
+  }
+
+  child(context) {
+    return new Logger({ ...this.context, ...context }, this.root);
+  }
+
+  /**
+   * Console settings: { level, stream, errorStream }
+   */
+  configure(options = {}) {
+    const root = this.root;
+    if (options.level !== undefined) {
+      if (!(options.level in LEVELS)) {
+        throw new Error(`Unknown log level "${options.level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+      }
+      root.level = options.level;
+    }
+    if (options.stream) root.stream = options.stream;
+    if (options.errorStream) root.errorStream = options.errorStream;
+    return this;
+  }
+
+  /**
+   * Open <logsDir>/<runId>.jsonl and tag every line with the run id until
+   * endRun(). Returns the run id.
+   */
+  startRun({ logsDir, runId = newRunId() } = {}) {
+    const root = this.root;
+    root.endRun();
+    root.runId = runId;
+    if (logsDir) {
+      fs.mkdirSync(logsDir, { recursive: true });
+      root.runFile = path.join(logsDir, `${runId}.jsonl`);
+      root.runFd = fs.openSync(root.runFile, 'a');
+    }
+    return runId;
+  }
+
+  endRun() {
+    const root = this.root;
+    if (root.runFd !== null) fs.closeSync(root.runFd);
+    root.runFd = null;
+    root.runFile = null;
+    root.runId = null;
+  }
+
+  enabled(level) {
+    return LEVELS[level] >= LEVELS[this.root.level];
+  }
+
+  write(level, message, fields = {}) {
+    const root = this.root;
+    const entry = { ...this.context, ...fields };
+
+    if (root.runFd !== null) {
+      const record = { time: new Date().toISOString(), level, runId: root.runId, ...entry, msg: message };
+      if (record.error instanceof Error) record.error = { name: record.error.name, message: record.error.message };
+      try {
+        fs.writeSync(root.runFd, JSON.stringify(record) + '\n');
+      } catch {
+        // A full disk must not take the run down with it
+      }
+    }
+
+    if (this.enabled(level)) {
+      const stream = LEVELS[level] >= LEVELS.warn ? root.errorStream : root.stream;
+      stream.write(formatLine(level, message, entry) + '\n');
+    }
+  }
+
+  debug(message, fields) { this.write('debug', message, fields); }
+  info(message, fields) { this.write('info', message, fields); }
+  warn(message, fields) { this.write('warn', message, fields); }
+  error(message, fields) { this.write('error', message, fields); }
+}
+
+// [Component id8 vN/format] message
+function formatLine(level, message, entry) {
+  const tag = [entry.component];
+  if (entry.creationId) {
+    let asset = String(entry.creationId).slice(0, 8);
+    if (entry.variant !== undefined) asset += ` v${entry.variant}`;
+    if (entry.format) asset += `/${entry.format}`;
+    tag.push(asset);
+  }
+  const prefix = tag.filter(Boolean).length ? `[${tag.filter(Boolean).join(' ')}] ` : '';
+  const levelTag = level === 'info' ? '' : `${level.toUpperCase()} `;
+  return `${levelTag}${prefix}${message}`;
+}
+
+// Sortable and unique enough to name a file: 20260215T103000-1a2b3c
+function newRunId() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, '');
+  return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+module.exports = new Logger();
+module.exports.Logger = Logger;
+module.exports.LEVELS = LEVELS;
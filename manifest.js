@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const log = require('./logger').child({ component: 'Manifest' });
+
+const MANIFEST_VERSION = 1;
+
+const CSV_COLUMNS = [
+  'creationId', 'title', 'variant', 'format', 'filename', 'url', 'downloadedAt',
+  'size', 'sha256', 'convertedPath', 'deletionStatus', 'deletedAt',
+];
+
+/**
+ * LibraryManifest - Local record of every creation we have downloaded
+ *
+ * One entry per creation, holding one record per result variant and the
+ * files fetched for it (source URL, size, sha256, conversion output).
+ * An entry is only written once all of a creation's files passed
+ * validation, so the manifest is also the gate for server-side deletion:
+ * no verified entry, no delete.
+ *
+ * Deletion status is one of 'on-server', 'deleted' or 'delete-failed'.
+ */
+class LibraryManifest {
+  constructor(manifestPath) {
+    this.manifestPath = manifestPath;
+    this.data = this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.manifestPath)) {
+        return JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+      }
+    } catch (e) {
+      log.error(`Error loading: ${e.message}`, { error: e });
+    }
+    return { version: MANIFEST_VERSION, creations: {} };
+  }
+
+  save() {
+    const tempPath = this.manifestPath + '.tmp';
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2), 'utf8');
+    fs.renameSync(tempPath, this.manifestPath);
+  }
+
+  get(creationId) {
+    return this.data.creations[creationId] || null;
+  }
+
+  entries() {
+    return Object.values(this.data.creations);
+  }
+
+  /**
+   * Record a fully downloaded creation.
+   * files: [{ variant, format, filename, url, size, sha256 }]
+   */
+  recordDownload(creation, files) {
+    const existing = this.get(creation.id);
+    const now = new Date().toISOString();
+    const variants = [];
+
+    for (const file of files) {
+      let variant = variants.find(v => v.variant === file.variant);
+      if (!variant) {
+        variant = { variant: file.variant, downloadedAt: now, files: [] };
+        variants.push(variant);
+      }
+      const { variant: _, ...rest } = file;
+      variant.files.push({ ...rest, verified: true, convertedPath: null });
+    }
+    variants.sort((a, b) => a.variant - b.variant);
+
+    this.data.creations[creation.id] = {
+      id: creation.id,
+      title: creation.title,
+      firstDownloadedAt: existing ? existing.firstDownloadedAt : now,
+      verifiedAt: now,
+      variants,
+      deletion: { status: 'on-server', deletedAt: null, lastError: null },
+    };
+    this.save();
+    return this.data.creations[creation.id];
+  }
+
+  /**
+   * The creation and variant a downloaded file belongs to, or null
+   */
+  findFile(filename) {
+    for (const entry of this.entries()) {
+      for (const variant of entry.variants) {
+        const file = variant.files.find(f => f.filename === filename);
+        if (file) return { entry, variant, file };
+      }
+    }
+    return null;
+  }
+
+  markConverted(filename, convertedPath) {
+    const found = this.findFile(filename);
+    if (!found) return null;
+    found.file.convertedPath = convertedPath;
+    this.save();
+    return found.entry;
+  }
+
+  markDeleted(creationId) {
+    const entry = this.get(creationId);
+    if (!entry) return;
+    entry.deletion = { status: 'deleted', deletedAt: new Date().toISOString(), lastError: null };
+    this.save();
+  }
+
+  markDeleteFailed(creationId, error) {
+    const entry = this.get(creationId);
+    if (!entry) return;
+    entry.deletion = { status: 'delete-failed', deletedAt: null, lastError: error };
+    this.save();
+  }
+
+  isDeleted(creationId) {
+    const entry = this.get(creationId);
+    return !!entry && entry.deletion.status === 'deleted';
+  }
+
+  isVerified(creationId) {
+    const files = this.filesOf(creationId);
+    return files.length > 0 && files.every(f => f.verified && f.sha256);
+  }
+
+  isConverted(creationId) {
+    const convertible = this.filesOf(creationId).filter(f => path.extname(f.filename) === '.glb');
+    return convertible.length > 0 && convertible.every(f => f.convertedPath);
+  }
+
+  filesOf(creationId) {
+    const entry = this.get(creationId);
+    return entry ? entry.variants.flatMap(v => v.files) : [];
+  }
+
+  /**
+   * One record per creation/variant, optionally filtered.
+   * filter: { id (prefix or list of prefixes), title (RegExp or string), deletionStatus, converted }
+   */
+  query(filter = {}) {
+    const ids = [].concat(filter.id || []);
+    const titleMatch = filter.title instanceof RegExp
+      ? filter.title
+      : filter.title ? new RegExp(filter.title, 'i') : null;
+
+    const rows = [];
+    for (const entry of this.entries()) {
+      if (ids.length > 0 && !ids.some(id => entry.id.startsWith(id))) continue;
+      if (titleMatch && !titleMatch.test(entry.title)) continue;
+      if (filter.deletionStatus && entry.deletion.status !== filter.deletionStatus) continue;
+
+      for (const variant of entry.variants) {
+        const converted = variant.files.some(f => f.convertedPath);
+        if (filter.converted !== undefined && converted !== filter.converted) continue;
+        rows.push({
+          creationId: entry.id,
+          title: entry.title,
+          variant: variant.variant,
+          downloadedAt: variant.downloadedAt,
+          deletionStatus: entry.deletion.status,
+          deletedAt: entry.deletion.deletedAt,
+          files: variant.files,
+        });
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Serialise query results as 'json' (variant records) or 'csv' (one row per file)
+   */
+  export(format = 'json', filter = {}) {
+    const rows = this.query(filter);
+    if (format === 'json') return JSON.stringify(rows, null, 2);
+    if (format !== 'csv') throw new Error(`Unknown export format "${format}" (expected json or csv)`);
+
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const row of rows) {
+      for (const file of row.files) {
+        const record = { ...row, ...file };
+        lines.push(CSV_COLUMNS.map(col => csvCell(record[col])).join(','));
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+module.exports = LibraryManifest;
+module.exports.sha256File = sha256File;
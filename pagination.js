@@ -0,0 +1,114 @@
+/**
+ * Pagination helpers for the creations/list API
+ *
+ * We never hard-code the paging parameters: the first list request the
+ * site makes is used as a template, its paging fields are detected, and
+ * later pages are requested by rewriting just those fields. Both the
+ * browser (page.evaluate fetch) and the Node API client use this.
+ */
+
+const OFFSET_KEYS = ['offset', 'start', 'skip'];
+const PAGE_KEYS = ['pageNum', 'pageNo', 'pageIndex', 'page', 'current'];
+const SIZE_KEYS = ['limit', 'pageSize', 'size', 'count', 'perPage'];
+
+const MAX_PAGES = 1000;
+
+function findKey(params, keys) {
+  return keys.find(k => params[k] !== undefined && params[k] !== null && !Number.isNaN(Number(params[k])));
+}
+
+/**
+ * Work out how a list request pages. params is the JSON body or the query
+ * string as an object. Returns null when no paging fields are present.
+ */
+function detectPaging(params) {
+  if (!params || typeof params !== 'object') return null;
+  const sizeKey = findKey(params, SIZE_KEYS);
+  const offsetKey = findKey(params, OFFSET_KEYS);
+  const pageKey = findKey(params, PAGE_KEYS);
+  const pageSize = sizeKey ? Number(params[sizeKey]) : null;
+
+  if (offsetKey) {
+    return { style: 'offset', key: offsetKey, sizeKey, pageSize, first: Number(params[offsetKey]) };
+  }
+  if (pageKey) {
+    return { style: 'page', key: pageKey, sizeKey, pageSize, first: Number(params[pageKey]) };
+  }
+  return null;
+}
+
+/**
+ * Params for page `pageIndex` (0 = the template's own page)
+ */
+function pageParams(params, paging, pageIndex, fetchedSoFar) {
+  const next = { ...params };
+  if (paging.style === 'offset') {
+    next[paging.key] = paging.pageSize ? paging.first + pageIndex * paging.pageSize : fetchedSoFar;
+  } else {
+    next[paging.key] = paging.first + pageIndex;
+  }
+  // Keep the original type: some APIs send numbers as strings
+  if (typeof params[paging.key] === 'string') next[paging.key] = String(next[paging.key]);
+  return next;
+}
+
+/**
+ * Apply paging params to a request template { url, method, body }
+ */
+function buildPageRequest(template, paging, pageIndex, fetchedSoFar) {
+  if (template.body && typeof template.body === 'object') {
+    return { ...template, body: pageParams(template.body, paging, pageIndex, fetchedSoFar) };
+  }
+  const url = new URL(template.url);
+  const params = pageParams(Object.fromEntries(url.searchParams), paging, pageIndex, fetchedSoFar);
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+  return { ...template, url: url.href };
+}
+
+/**
+ * Paging description for a request template, from its body or query string
+ */
+function detectTemplatePaging(template) {
+  if (template.body && typeof template.body === 'object') return detectPaging(template.body);
+  try {
+    return detectPaging(Object.fromEntries(new URL(template.url).searchParams));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetch pages after the first until totalCount is reached or a page adds
+ * nothing new.
+ *
+ * fetchPage(request) -> { creations, totalCount } for one page
+ * collected          Map of id -> creation, already holding page 0
+ */
+async function collectRemainingPages({ template, totalCount, collected, fetchPage, log = () => {} }) {
+  const paging = detectTemplatePaging(template);
+  if (!paging) {
+    log(`No paging fields in list request — cannot request more pages`);
+    return false;
+  }
+
+  for (let pageIndex = 1; pageIndex < MAX_PAGES; pageIndex++) {
+    if (totalCount !== null && collected.size >= totalCount) break;
+
+    const request = buildPageRequest(template, paging, pageIndex, collected.size);
+    const page = await fetchPage(request);
+    const before = collected.size;
+    for (const creation of page.creations) collected.set(creation.id, creation);
+    if (page.totalCount !== null && page.totalCount !== undefined) totalCount = page.totalCount;
+
+    log(`Page ${pageIndex + 1}: +${collected.size - before} (${collected.size}/${totalCount ?? '?'})`);
+    if (collected.size === before) break;
+  }
+  return totalCount === null || collected.size >= totalCount;
+}
+
+module.exports = {
+  detectPaging,
+  detectTemplatePaging,
+  buildPageRequest,
+  collectRemainingPages,
+};
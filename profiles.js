@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_DIR = path.join(__dirname, 'profiles');
+const PROFILE_CONFIG = 'profile.json';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Named account profiles
+ *
+ * Each profile is a directory under profiles/<name>/ holding everything
+ * that belongs to one account: session, list request template, state,
+ * library manifest, caches and, unless overridden, its downloads and
+ * converted output. An optional profile.json in that directory sets
+ * downloader options for the profile (formats, deletePolicy, downloadsDir...).
+ *
+ * Without a profile the downloader keeps using the files next to it. Every
+ * function takes { profilesDir } last to look somewhere other than profiles/.
+ */
+function validateName(name) {
+  if (!NAME_PATTERN.test(name || '')) {
+    throw new Error(`Invalid profile name "${name}" (letters, digits, - and _ only)`);
+  }
+}
+
+function profileDir(name, { profilesDir = PROFILES_DIR } = {}) {
+  validateName(name);
+  return path.join(profilesDir, name);
+}
+
+function listProfiles({ profilesDir = PROFILES_DIR } = {}) {
+  if (!fs.existsSync(profilesDir)) return [];
+  return fs.readdirSync(profilesDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && NAME_PATTERN.test(entry.name))
+    .map(entry => entry.name)
+    .sort();
+}
+
+function loadProfileConfig(name, options) {
+  const configPath = path.join(profileDir(name, options), PROFILE_CONFIG);
+  if (!fs.existsSync(configPath)) return {};
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid ${PROFILE_CONFIG} for profile "${name}": ${e.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid ${PROFILE_CONFIG} for profile "${name}": expected a JSON object of downloader options`);
+  }
+  return config;
+}
+
+/**
+ * Downloader options for a profile: its own file locations, then its
+ * profile.json, then anything passed explicitly (CLI flags win)
+ */
+function profileOptions(name, overrides = {}, options = {}) {
+  const dir = profileDir(name, options);
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Profile "${name}" does not exist — create it with "usdz-downloader profiles add ${name}"`);
+  }
+
+  const config = loadProfileConfig(name, options);
+  const resolveDir = value => (value ? path.resolve(dir, value) : undefined);
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, v]) => v !== undefined));
+
+  return {
+    downloadsDir: path.join(dir, 'downloads'),
+    convertedDir: path.join(dir, 'converted'),
+    ...config,
+    ...(config.downloadsDir && { downloadsDir: resolveDir(config.downloadsDir) }),
+    ...(config.convertedDir && { convertedDir: resolveDir(config.convertedDir) }),
+    ...defined,
+    stateFile: path.join(dir, 'download-state.json'),
+    sessionFile: path.join(dir, 'browser-session.json'),
+    manifestFile: path.join(dir, 'library-manifest.json'),
+    templateFile: path.join(dir, 'list-request.json'),
+    cacheDir: dir,
+    profile: name,
+  };
+}
+
+function createProfile(name, config = {}, options = {}) {
+  const dir = profileDir(name, options);
+  if (fs.existsSync(dir)) throw new Error(`Profile "${name}" already exists`);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, PROFILE_CONFIG), JSON.stringify(config, null, 2), 'utf8');
+  return dir;
+}
+
+module.exports = {
+  PROFILES_DIR,
+  listProfiles,
+  profileDir,
+  profileOptions,
+  createProfile,
+};
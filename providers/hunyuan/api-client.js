@@ -0,0 +1,186 @@
+const fs = require('fs');
+const https = require('https');
+const http = require('http');
+const { CreationsListParser, reportListErrors } = require('../../creations-parser');
+const { collectRemainingPages } = require('../../pagination');
+const { SessionExpiredError, isSessionExpiredResponse } = require('../../session-manager');
+const log = require('../../logger').child({ component: 'API' });
+
+/**
+ * HunyuanApiClient - Calls the creations API directly from Node
+ *
+ * The base URL, list and delete paths and default list request all come
+ * from the provider that creates the client (see ./index.js).
+ *
+ * Authentication comes from the Playwright storage state a browser run
+ * saved (browser-session.json): its cookies become the Cookie header, and a
+ * token found in the site's localStorage is sent as a bearer token. The
+ * browser run also records the exact list request the site made (headers,
+ * body, paging fields) to a template file, which is replayed here so the
+ * API sees the same request shape it does from the page.
+ *
+ * List bodies are fed to the parser chunk by chunk as they arrive, so a
+ * large list is never held in memory as one string.
+ *
+ * A 401 or a redirect to a login page rejects with SessionExpiredError; a
+ * 403 is an ordinary HTTP error, as it can concern one creation only.
+ */
+class HunyuanApiClient {
+  constructor(options = {}) {
+    const { provider } = options;
+    this.sessionFile = options.sessionFile;
+    this.templateFile = options.templateFile || null;
+    this.baseUrl = provider.origin;
+    this.websiteUrl = provider.websiteUrl;
+    this.listPath = provider.listPath;
+    this.deletePath = provider.deletePath;
+    // Used when no browser run has captured the site's own list request yet
+    this.defaultListBody = provider.defaultListBody;
+    this.timeout = options.timeout || 120000;
+    this.session = this.loadSession();
+  }
+
+  loadSession() {
+    if (!this.sessionFile || !fs.existsSync(this.sessionFile)) {
+      throw new Error(`No saved session at ${this.sessionFile} — run "usdz-downloader login" first`);
+    }
+    const state = JSON.parse(fs.readFileSync(this.sessionFile, 'utf8'));
+    return { cookies: state.cookies || [], origins: state.origins || [] };
+  }
+
+  loadTemplate() {
+    if (this.templateFile && fs.existsSync(this.templateFile)) {
+      try {
+        const template = JSON.parse(fs.readFileSync(this.templateFile, 'utf8'));
+        const url = new URL(template.url);
+        // Keep the captured path and query but aim it at our base URL
+        return { ...template, url: this.baseUrl + url.pathname + url.search };
+      } catch (e) {
+        log.error(`Error loading request template: ${e.message}`, { error: e });
+      }
+    }
+    return { url: this.baseUrl + this.listPath, method: 'POST', headers: {}, body: { ...this.defaultListBody } };
+  }
+
+  cookieHeader(url) {
+    const { hostname, pathname, protocol } = new URL(url);
+    const now = Date.now() / 1000;
+    return this.session.cookies
+      .filter(c => {
+        const domain = (c.domain || '').replace(/^\./, '');
+        const domainOk = hostname === domain || hostname.endsWith('.' + domain);
+        const pathOk = pathname.startsWith(c.path || '/');
+        const notExpired = !c.expires || c.expires < 0 || c.expires > now;
+        const secureOk = !c.secure || protocol === 'https:' || hostname === 'localhost' || hostname === '127.0.0.1';
+        return domainOk && pathOk && notExpired && secureOk;
+      })
+      .map(c => `${c.name}=${c.value}`)
+      .join('; ');
+  }
+
+  bearerToken() {
+    const origin = this.session.origins.find(o => o.origin === this.baseUrl);
+    const item = origin && (origin.localStorage || []).find(i => /^(access_?)?token$/i.test(i.name));
+    return item ? item.value : null;
+  }
+
+  headersFor(url, extra = {}) {
+    const headers = {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/plain, */*',
+      Origin: this.baseUrl,
+      Referer: this.websiteUrl,
+      ...extra,
+    };
+    const cookie = this.cookieHeader(url);
+    if (cookie) headers.Cookie = cookie;
+    const hasAuth = Object.keys(headers).some(k => k.toLowerCase() === 'authorization');
+    const token = this.bearerToken();
+    if (token && !hasAuth) headers.Authorization = `Bearer ${token}`;
+    return headers;
+  }
+
+  /**
+   * Resolves { status, headers, text }. With a `sink`, a 200 body is written
+   * to sink.write() chunk by chunk instead of being buffered, and text is ''.
+   */
+  request(method, url, body, extraHeaders = {}, { sink = null } = {}) {
+    const payload = body === undefined || body === null
+      ? null
+      : typeof body === 'string' ? body : JSON.stringify(body);
+    const headers = this.headersFor(url, extraHeaders);
+    if (payload !== null) headers['Content-Length'] = Buffer.byteLength(payload);
+
+    return new Promise((resolve, reject) => {
+      const proto = url.startsWith('https') ? https : http;
+      const req = proto.request(url, { method, headers, timeout: this.timeout }, (res) => {
+        const chunks = [];
+        const streaming = sink !== null && res.statusCode === 200;
+        res.on('data', chunk => (streaming ? sink.write(chunk) : chunks.push(chunk)));
+        res.on('end', () => {
+          if (isSessionExpiredResponse(res.statusCode, res.headers.location)) {
+            return reject(new SessionExpiredError(`API answered HTTP ${res.statusCode} for ${new URL(url).pathname}`));
+          }
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            text: Buffer.concat(chunks).toString('utf8'),
+          });
+        });
+        res.on('error', reject);
+      });
+      req.on('error', reject);
+      req.on('timeout', () => req.destroy(new Error(`API timeout after ${this.timeout}ms`)));
+      if (payload !== null) req.write(payload);
+      req.end();
+    });
+  }
+
+  // Headers captured from the browser that are safe and useful to replay
+  replayHeaders(template) {
+    const skip = ['cookie', 'content-length', 'host', 'connection', 'accept-encoding', 'origin', 'referer'];
+    return Object.fromEntries(Object.entries(template.headers || {})
+      .filter(([k]) => !skip.includes(k.toLowerCase()) && !k.startsWith(':')));
+  }
+
+  async fetchListPage(request) {
+    const parser = new CreationsListParser();
+    const res = await this.request(request.method || 'POST', request.url, request.body, this.replayHeaders(request), { sink: parser });
+    if (res.status !== 200) {
+      throw new Error(`creations/list HTTP ${res.status}: ${res.text.substring(0, 200)}`);
+    }
+    return reportListErrors(parser.end(), log);
+  }
+
+  /**
+   * Every creation on the account, walking all pages
+   */
+  async listCreations() {
+    const template = this.loadTemplate();
+    const first = await this.fetchListPage(template);
+    const collected = new Map(first.creations.map(c => [c.id, c]));
+    log.info(`✓ First page: ${first.creations.length} creations (totalCount: ${first.totalCount ?? 'unknown'})`);
+
+    let complete = true;
+    if (first.creations.length > 0 && (first.totalCount === null || collected.size < first.totalCount)) {
+      complete = await collectRemainingPages({
+        template,
+        totalCount: first.totalCount,
+        collected,
+        fetchPage: request => this.fetchListPage(request),
+        log: msg => log.info(msg),
+      });
+    }
+    if (!complete) {
+      log.warn(`⚠ Collected ${collected.size}/${first.totalCount ?? '?'} creations — the rest will be picked up next run`);
+    }
+    return [...collected.values()];
+  }
+
+  async deleteCreation(creationId) {
+    const res = await this.request('POST', this.baseUrl + this.deletePath, { creationsIdList: [creationId] });
+    return { ok: res.status >= 200 && res.status < 300, status: res.status, body: res.text.substring(0, 200) };
+  }
+}
+
+module.exports = HunyuanApiClient;
@@ -0,0 +1,102 @@
+const SourceProvider = require('../provider');
+const HunyuanApiClient = require('./api-client');
+const { parseCreationsList } = require('../../creations-parser');
+
+/**
+ * Tencent Hunyuan 3D (3d.hunyuan.tencent.com)
+ *
+ * Each creation has up to four result variants; a variant's urlResult maps
+ * format keys (glb, obj, mtl, geometryGlb, textureGlb) to file URLs.
+ */
+class HunyuanProvider extends SourceProvider {
+  get name() {
+    return 'hunyuan';
+  }
+
+  get listPath() {
+    return '/api/3d/creations/list';
+  }
+
+  get deletePath() {
+    return '/api/3d/creations/delete';
+  }
+
+  // First list request of an API run that has no captured template yet
+  get defaultListBody() {
+    return { offset: 0, limit: 20 };
+  }
+
+  get listItemSelector() {
+    return 'role=listitem';
+  }
+
+  get blockedDomains() {
+    return [
+      'galileotelemetry', 'beacon', 'umeng',
+      'h.trace.qq.com', 'data.ab.qq.com', 'config.ab.qq.com',
+    ];
+  }
+
+  // Calls that don't affect asset list rendering
+  get blockedApiPaths() {
+    return [
+      '/api/3d/quotainfo',
+      '/api/3d/workflow/action/templates',
+      '/api/3d/share',
+      '/api/3d/notice/list',
+    ];
+  }
+
+  parseListResponse(text) {
+    return parseCreationsList(text);
+  }
+
+  isListBody(body) {
+    return !!body && Array.isArray(body.creations);
+  }
+
+  resolveDownloadUrls(creation, formats) {
+    const files = [];
+    (creation.result || []).forEach((variant, vi) => {
+      const urls = variant.urlResult || {};
+      for (const format of formats) {
+        const url = urls[format];
+        if (url && typeof url === 'string') files.push({ variant: vi + 1, format, url });
+      }
+    });
+    return files;
+  }
+
+  async deleteCreationInPage(page, creationId) {
+    return page.evaluate(async ({ deletePath, assetId }) => {
+      try {
+        const res = await fetch(deletePath, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ creationsIdList: [assetId] }),
+        });
+        const text = await res.text().catch(() => '');
+        return { ok: res.ok, status: res.status, body: text.substring(0, 200) };
+      } catch (e) {
+        return { ok: false, error: e.message };
+      }
+    }, { deletePath: this.deletePath, assetId: creationId });
+  }
+
+  createApiClient({ sessionFile, templateFile }) {
+    return new HunyuanApiClient({ provider: this, sessionFile, templateFile });
+  }
+
+  // The React app shows an error boundary when its CSS/JS failed to load
+  async checkPageHealth(page) {
+    const html = await page.content();
+    if (html.includes('hy-error-boundary') || html.includes('页面出错')) {
+      return { ok: false, reason: 'error boundary displayed' };
+    }
+    return { ok: true };
+  }
+}
+
+HunyuanProvider.WEBSITE_URL = 'https://3d.hunyuan.tencent.com/assets';
+
+module.exports = HunyuanProvider;
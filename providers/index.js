@@ -0,0 +1,42 @@
+const SourceProvider = require('./provider');
+const HunyuanProvider = require('./hunyuan');
+
+const DEFAULT_PROVIDER = 'hunyuan';
+
+const registry = new Map([
+  ['hunyuan', HunyuanProvider],
+]);
+
+/**
+ * Make another provider available by name (e.g. for --provider)
+ */
+function registerProvider(name, ProviderClass) {
+  if (!(ProviderClass.prototype instanceof SourceProvider)) {
+    throw new Error(`Provider "${name}" must extend SourceProvider`);
+  }
+  registry.set(name, ProviderClass);
+}
+
+function providerNames() {
+  return [...registry.keys()];
+}
+
+/**
+ * A provider instance from a registered name, or an instance passed through as is
+ */
+function getProvider(provider = DEFAULT_PROVIDER, options = {}) {
+  if (provider instanceof SourceProvider) return provider;
+  const ProviderClass = registry.get(provider);
+  if (!ProviderClass) {
+    throw new Error(`Unknown provider "${provider}" (expected ${providerNames().join(', ')})`);
+  }
+  return new ProviderClass(options);
+}
+
+module.exports = {
+  SourceProvider,
+  DEFAULT_PROVIDER,
+  registerProvider,
+  providerNames,
+  getProvider,
+};
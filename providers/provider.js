@@ -0,0 +1,97 @@
+/**
+ * SourceProvider - What the downloader needs to know about a 3D generation site
+ *
+ * The downloader owns the browser, paging, downloads, the manifest and
+ * deletion policy; a provider only answers site-specific questions: where
+ * the assets page is, which request returns the creations list and how to
+ * read it, where a creation's files are, how to delete one, and whether the
+ * page loaded properly. Subclasses override what their site needs.
+ *
+ * Creations are passed around as { id, title, createdAt, result: [...] },
+ * createdAt in epoch ms (or null) and one result entry per successful
+ * variant; what is inside a result entry is up to the provider, which is
+ * the only thing that reads it (see resolveDownloadUrls).
+ */
+class SourceProvider {
+  constructor(options = {}) {
+    this.websiteUrl = options.websiteUrl || this.constructor.WEBSITE_URL;
+    if (!this.websiteUrl) throw new Error(`${this.name} provider needs a websiteUrl`);
+  }
+
+  get name() {
+    return 'unnamed';
+  }
+
+  get origin() {
+    return new URL(this.websiteUrl).origin;
+  }
+
+  // Path of the creations list request; its responses are intercepted
+  get listPath() {
+    throw new Error(`${this.name} provider does not implement listPath`);
+  }
+
+  // Playwright route glob matching the list request
+  get listRoutePattern() {
+    return `**${this.listPath}**`;
+  }
+
+  // Selector for rendered list entries, used to wait for and scroll the list
+  get listItemSelector() {
+    throw new Error(`${this.name} provider does not implement listItemSelector`);
+  }
+
+  // URL fragments worth blocking on top of the generic image/font/telemetry rules
+  get blockedDomains() {
+    return [];
+  }
+
+  get blockedApiPaths() {
+    return [];
+  }
+
+  /**
+   * A list response body as { creations, totalCount }; totalCount is null
+   * when the site does not say
+   */
+  parseListResponse(text) {
+    throw new Error(`${this.name} provider does not implement parseListResponse`);
+  }
+
+  // Does this parsed JSON look like a successful list response? Used as the login signal.
+  isListBody(body) {
+    throw new Error(`${this.name} provider does not implement isListBody`);
+  }
+
+  /**
+   * Downloadable files of a creation: [{ variant, format, url }], variant
+   * numbered from 1, limited to the wanted formats
+   */
+  resolveDownloadUrls(creation, formats) {
+    throw new Error(`${this.name} provider does not implement resolveDownloadUrls`);
+  }
+
+  /**
+   * Delete a creation from inside the logged-in page.
+   * Resolves { ok, status, body } or { ok: false, error }.
+   */
+  async deleteCreationInPage(page, creationId) {
+    throw new Error(`${this.name} provider does not implement deleteCreationInPage`);
+  }
+
+  /**
+   * Client for browserless runs: { listCreations(), deleteCreation(id) }
+   */
+  createApiClient(options) {
+    throw new Error(`${this.name} provider has no API mode`);
+  }
+
+  /**
+   * Did the page render? Resolves { ok, reason }.
+   */
+  async checkPageHealth(page) {
+    return { ok: true };
+  }
+}
+
+module.exports = SourceProvider;
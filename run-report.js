@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_VERSION = 1;
+
+/**
+ * RunReport - What one run did, for tracking runs over time
+ *
+ * Collected while the run goes and written when it ends to
+ * <reportsDir>/<runId>.json (and <runId>.html when asked for, a single file
+ * with no external assets so it can be attached to a ticket).
+ *
+ * Per creation: each file's download result, bytes transferred and timing,
+ * the delete outcome, and conversion sizes. Per run: totals, network
+ * request counts, cache stats and every error raised.
+ */
+class RunReport {
+  constructor({ runId, command, mode, provider, profile = null }) {
+    this.data = {
+      version: REPORT_VERSION,
+      runId,
+      command,
+      mode,
+      provider,
+      profile,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      summary: null,
+      totals: null,
+      network: null,
+      cache: null,
+      creations: [],
+      conversions: [],
+      errors: [],
+    };
+    this.started = Date.now();
+  }
+
+  creation(creationId, title) {
+    let entry = this.data.creations.find(c => c.id === creationId);
+    if (!entry) {
+      entry = { id: creationId, title: title || creationId, outcome: null, files: [], delete: null };
+      this.data.creations.push(entry);
+    } else if (title) {
+      entry.title = title;
+    }
+    return entry;
+  }
+
+  /**
+   * One file of a creation. A retried file keeps its latest result and
+   * counts its attempts.
+   * file: { variant, format, filename, status: 'downloaded'|'exists'|'failed',
+   *         bytes, size, durationMs, resumedFrom, error }
+   */
+  recordFile(creationId, file) {
+    const files = this.creation(creationId).files;
+    const index = files.findIndex(f => f.filename === file.filename);
+    if (index === -1) {
+      files.push({ ...file, attempts: 1 });
+    } else {
+      const previous = files[index];
+      files[index] = { ...file, bytes: (previous.bytes || 0) + (file.bytes || 0), attempts: previous.attempts + 1 };
+    }
+  }
+
+  // 'downloaded', 'in-library', 'partial' or 'failed'
+  recordOutcome(creationId, title, outcome) {
+    this.creation(creationId, title).outcome = outcome;
+  }
+
+  recordDelete(creationId, { deleted, status = null, error = null }) {
+    this.creation(creationId).delete = { deleted, status, error, at: new Date().toISOString() };
+  }
+
+  recordConversion(conversion) {
+    this.data.conversions.push(conversion);
+  }
+
+  // Nothing happened worth a report (a watch poll that found nothing new)
+  isEmpty() {
+    const d = this.data;
+    return d.creations.length === 0 && d.conversions.length === 0 && d.errors.length === 0;
+  }
+
+  recordError(stage, error, details = {}) {
+    this.data.errors.push({
+      stage,
+      message: error && error.message ? error.message : String(error),
+      ...details,
+      at: new Date().toISOString(),
+    });
+  }
+
+  finish({ status, summary = null, network = null, cache = null, error = null }) {
+    const d = this.data;
+    d.status = status;
+    d.finishedAt = new Date().toISOString();
+    d.durationMs = Date.now() - this.started;
+    d.summary = summary;
+    d.network = network;
+    d.cache = cache;
+    if (error) d.error = error.message;
+
+    const files = d.creations.flatMap(c => c.files);
+    d.totals = {
+      creations: d.creations.length,
+      filesDownloaded: files.filter(f => f.status === 'downloaded').length,
+      filesExisting: files.filter(f => f.status === 'exists').length,
+      filesFailed: files.filter(f => f.status === 'failed').length,
+      bytesTransferred: files.reduce((sum, f) => sum + (f.bytes || 0), 0),
+      deleted: d.creations.filter(c => c.delete && c.delete.deleted).length,
+      deleteFailed: d.creations.filter(c => c.delete && !c.delete.deleted).length,
+      converted: d.conversions.filter(c => c.ok).length,
+      conversionFailed: d.conversions.filter(c => !c.ok).length,
+      bytesBeforeConversion: d.conversions.filter(c => c.ok).reduce((sum, c) => sum + c.sizeIn, 0),
+      bytesAfterConversion: d.conversions.filter(c => c.ok).reduce((sum, c) => sum + c.sizeOut, 0),
+      errors: d.errors.length,
+    };
+    return d;
+  }
+
+  /**
+   * Write <runId>.json (and .html) to reportsDir; returns the paths written
+   */
+  write(reportsDir, { html = false } = {}) {
+    fs.mkdirSync(reportsDir, { recursive: true });
+    const written = { json: path.join(reportsDir, `${this.data.runId}.json`) };
+    writeAtomic(written.json, JSON.stringify(this.data, null, 2));
+    if (html) {
+      written.html = path.join(reportsDir, `${this.data.runId}.html`);
+      writeAtomic(written.html, renderHtml(this.data));
+    }
+    return written;
+  }
+}
+
+function writeAtomic(filePath, text) {
+  const tempPath = filePath + '.tmp';
+  fs.writeFileSync(tempPath, text, 'utf8');
+  fs.renameSync(tempPath, filePath);
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  }[ch]));
+}
+
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatMs(ms) {
+  return ms === null || ms === undefined ? '' : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function renderHtml(report) {
+  const t = report.totals || {};
+  const row = cells => `<tr>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`;
+  const table = (headers, rows) => rows.length === 0
+    ? '<p class="empty">None</p>'
+    : `<table><thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`;
+
+  const overview = [
+    ['Run', report.runId],
+    ['Command', report.command],
+    ['Status', report.status + (report.error ? ` — ${report.error}` : '')],
+    ['Provider / mode', `${report.provider} / ${report.mode}`],
+    ['Profile', report.profile || '—'],
+    ['Started', report.startedAt],
+    ['Duration', formatMs(report.durationMs)],
+    ['Creations', t.creations],
+    ['Files downloaded / existing / failed', `${t.filesDownloaded} / ${t.filesExisting} / ${t.filesFailed}`],
+    ['Transferred', formatBytes(t.bytesTransferred)],
+    ['Deleted / delete failed', `${t.deleted} / ${t.deleteFailed}`],
+    ['Converted', `${t.converted} (${formatBytes(t.bytesBeforeConversion)} → ${formatBytes(t.bytesAfterConversion)})`],
+    ['Network (blocked / allowed / cached)', report.network
+      ? `${report.network.blocked} / ${report.network.allowed} / ${report.network.cached}`
+      : '—'],
+    ['Errors', t.errors],
+  ].map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`).join('');
+
+  const creations = report.creations.map(c => {
+    const files = c.files.map(f => row([
+      escapeHtml(`v${f.variant}/${f.format}`),
+      escapeHtml(f.filename),
+      `<span class="${f.status}">${escapeHtml(f.status)}</span>`,
+      escapeHtml(formatBytes(f.bytes)),
+      escapeHtml(formatMs(f.durationMs)),
+      escapeHtml(f.attempts),
+      escapeHtml(f.error || ''),
+    ]));
+    const del = c.delete
+      ? (c.delete.deleted ? 'deleted' : `failed${c.delete.error ? `: ${c.delete.error}` : ''}`)
+      : 'kept';
+    return `<section><h3>${escapeHtml(c.title)} <small>${escapeHtml(c.id)}</small></h3>
+<p>Outcome: <b>${escapeHtml(c.outcome || '—')}</b> · Server: <b>${escapeHtml(del)}</b></p>
+${table(['Variant', 'File', 'Result', 'Transferred', 'Time', 'Attempts', 'Error'], files)}</section>`;
+  }).join('\n');
+
+  const conversions = report.conversions.map(c => row([
+    escapeHtml(c.filename),
+    escapeHtml(c.preset || ''),
+    c.ok ? 'ok' : `<span class="failed">failed${c.step ? ` (${escapeHtml(c.step)})` : ''}</span>`,
+    escapeHtml(formatBytes(c.sizeIn)),
+    escapeHtml(formatBytes(c.sizeOut)),
+    escapeHtml(formatMs(c.durationMs)),
+    escapeHtml(c.error || ''),
+  ]));
+
+  const errors = report.errors.map(e => row([
+    escapeHtml(e.at),
+    escapeHtml(e.stage),
+    escapeHtml(e.creationId || e.filename || ''),
+    escapeHtml(e.message),
+  ]));
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Run ${escapeHtml(report.runId)}</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; margin: .5em 0 1.5em; }
+  th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+  thead th, table.overview th { background: #f4f4f4; }
+  small { color: #888; font-weight: normal; }
+  .failed { color: #b00020; font-weight: bold; }
+  .downloaded { color: #1b7f3b; }
+  .exists { color: #666; }
+  .empty { color: #888; }
+</style>
+</head>
+<body>
+<h1>Run ${escapeHtml(report.runId)}</h1>
+<table class="overview">${overview}</table>
+<h2>Creations</h2>
+${creations || '<p class="empty">None</p>'}
+<h2>Conversions</h2>
+${table(['File', 'Preset', 'Result', 'Before', 'After', 'Time', 'Error'], conversions)}
+<h2>Errors</h2>
+${table(['Time', 'Stage', 'Item', 'Message'], errors)}
+</body>
+</html>
+`;
+}
+
+module.exports = RunReport;
+module.exports.renderHtml = renderHtml;
@@ -0,0 +1,135 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const ORDERS = ['list', 'newest', 'oldest', 'title'];
+
+/**
+ * CreationSelection - Which of the listed creations a run works on
+ *
+ * Filters (all optional; a creation must pass every one given):
+ *   ids           creation ids or id prefixes
+ *   title         RegExp or pattern string, case-insensitive
+ *   excludeTitle  RegExp or pattern string; matching creations are left out
+ *   since, until  creation time range: a Date, timestamp, ISO time, plain
+ *                 date (local day; `until` includes the whole day) or an age
+ *                 such as 7d / 12h
+ *   minVariants   least number of successful variants
+ * then `order` (list, newest, oldest, title) and `limit`. Creations the
+ * caller says are done (already downloaded, or seen by an earlier watch
+ * poll) stay selected but do not count against `limit`, so repeated runs
+ * move on to the next ones.
+ *
+ * A creation that is not selected is neither downloaded nor deleted. With a
+ * time filter, creations whose time the site did not give are left out.
+ */
+class CreationSelection {
+  constructor(options = {}) {
+    this.ids = [].concat(options.ids || []).map(String).filter(Boolean);
+    this.title = toRegExp(options.title, 'title');
+    this.excludeTitle = toRegExp(options.excludeTitle, 'excludeTitle');
+    this.since = parseBound(options.since, 'since', false);
+    this.until = parseBound(options.until, 'until', true);
+    this.minVariants = options.minVariants != null ? Number(options.minVariants) : null;
+    this.limit = options.limit != null ? Number(options.limit) : null;
+    this.order = options.order || 'list';
+
+    if (this.minVariants !== null && !(Number.isInteger(this.minVariants) && this.minVariants >= 0)) {
+      throw new Error(`Invalid minVariants: ${options.minVariants}`);
+    }
+    if (this.limit !== null && !(Number.isInteger(this.limit) && this.limit > 0)) {
+      throw new Error(`Invalid limit: ${options.limit}`);
+    }
+    if (!ORDERS.includes(this.order)) {
+      throw new Error(`Unknown order "${this.order}" (expected ${ORDERS.join(', ')})`);
+    }
+    if (this.since !== null && this.until !== null && this.since > this.until) {
+      throw new Error('since is later than until');
+    }
+  }
+
+  // Does anything narrow or reorder the list?
+  get active() {
+    return this.ids.length > 0 || !!this.title || !!this.excludeTitle || this.since !== null ||
+      this.until !== null || this.minVariants !== null || this.limit !== null || this.order !== 'list';
+  }
+
+  matches(creation) {
+    if (this.ids.length > 0 && !this.ids.some(id => creation.id.startsWith(id))) return false;
+    if (this.title && !this.title.test(creation.title || '')) return false;
+    if (this.excludeTitle && this.excludeTitle.test(creation.title || '')) return false;
+    if (this.since !== null || this.until !== null) {
+      const time = creation.createdAt;
+      if (time === null || time === undefined) return false;
+      if (this.since !== null && time < this.since) return false;
+      if (this.until !== null && time > this.until) return false;
+    }
+    // The list parser keeps only successful variants in result
+    if (this.minVariants !== null && (creation.result || []).length < this.minVariants) return false;
+    return true;
+  }
+
+  apply(creations, { isDone = null } = {}) {
+    const selected = creations.filter(c => this.matches(c));
+    if (this.order === 'newest' || this.order === 'oldest') {
+      // Creations without a time go last either way
+      const sign = this.order === 'newest' ? -1 : 1;
+      selected.sort((a, b) => (a.createdAt == null) - (b.createdAt == null) || sign * (a.createdAt - b.createdAt));
+    } else if (this.order === 'title') {
+      selected.sort((a, b) => String(a.title).localeCompare(String(b.title)));
+    }
+    if (this.limit === null) return selected;
+    let remaining = this.limit;
+    return selected.filter(c => (isDone && isDone(c)) || remaining-- > 0);
+  }
+
+  // One line for logs: "title /cat/i, since 2026-10-12, newest first, at most 10"
+  describe() {
+    const parts = [];
+    if (this.ids.length) parts.push(`id ${this.ids.join(',')}`);
+    if (this.title) parts.push(`title ${this.title}`);
+    if (this.excludeTitle) parts.push(`not title ${this.excludeTitle}`);
+    if (this.since !== null) parts.push(`since ${new Date(this.since).toISOString()}`);
+    if (this.until !== null) parts.push(`until ${new Date(this.until).toISOString()}`);
+    if (this.minVariants !== null) parts.push(`≥${this.minVariants} variant(s)`);
+    if (this.order !== 'list') parts.push(`${this.order} first`);
+    if (this.limit !== null) parts.push(`at most ${this.limit}`);
+    return parts.join(', ') || 'everything';
+  }
+}
+
+function toRegExp(value, name) {
+  if (!value) return null;
+  if (value instanceof RegExp) return value;
+  try {
+    return new RegExp(value, 'i');
+  } catch (err) {
+    throw new Error(`Invalid ${name} pattern: ${err.message}`);
+  }
+}
+
+// Epoch ms for a time bound; `endOfDay` makes a plain date cover the whole day
+function parseBound(value, name, endOfDay, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+
+  const text = String(value).trim();
+  const age = /^(\d+(?:\.\d+)?)\s*([dh])$/i.exec(text);
+  if (age) return now - Number(age[1]) * (age[2].toLowerCase() === 'd' ? DAY_MS : HOUR_MS);
+
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (day) {
+    const [year, month, date] = day.slice(1).map(Number);
+    return endOfDay
+      ? new Date(year, month - 1, date + 1).getTime() - 1
+      : new Date(year, month - 1, date).getTime();
+  }
+
+  const ms = Date.parse(text);
+  if (Number.isNaN(ms)) throw new Error(`Invalid ${name} time "${value}" (expected a date, ISO time or an age like 7d)`);
+  return ms;
+}
+
+module.exports = CreationSelection;
+module.exports.ORDERS = ORDERS;
+module.exports.parseBound = parseBound;
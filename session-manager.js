@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const LOGIN_URL_PATTERN = /login|passport|signin|sign-in|oauth|sso/i;
+const LOGIN_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Thrown when the server tells us the saved session is no longer valid
+ * (401, or a redirect to a login page). A 403 is not expiry: it can be a
+ * permission error on a single creation.
+ */
+class SessionExpiredError extends Error {
+  constructor(message = 'Session expired') {
+    super(message);
+    this.name = 'SessionExpiredError';
+  }
+}
+
+function isLoginUrl(url) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    return LOGIN_URL_PATTERN.test(hostname + pathname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Does this HTTP response mean the session is gone?
+ */
+function isSessionExpiredResponse(status, location) {
+  if (status === 401) return true;
+  if (status >= 300 && status < 400 && location) return isLoginUrl(location);
+  return false;
+}
+
+/**
+ * SessionManager - Owns browser-session.json (Playwright storage state)
+ *
+ * A session is considered valid until the server says otherwise: callers
+ * report 401s and login redirects via invalidate(), which moves the file
+ * aside so the next run asks for a login instead of retrying with dead
+ * cookies. login() is the only place a headed browser is opened.
+ */
+class SessionManager {
+  constructor(options = {}) {
+    this.sessionFile = options.sessionFile;
+    this.websiteUrl = options.websiteUrl;
+    // From the source provider: the list request and what a good answer looks like
+    this.listPath = options.listPath;
+    this.isListBody = options.isListBody;
+    this.loginCommand = options.loginCommand || 'usdz-downloader login';
+    // Dry runs report an expired session but leave the file where it is
+    this.readOnly = options.readOnly === true;
+    this.expiredFile = this.sessionFile.replace(/\.json$/, '') + '.expired.json';
+  }
+
+  hasSession() {
+    return fs.existsSync(this.sessionFile);
+  }
+
+  status() {
+    if (this.hasSession()) {
+      return { state: 'saved', savedAt: fs.statSync(this.sessionFile).mtime.toISOString() };
+    }
+    if (fs.existsSync(this.expiredFile)) {
+      return { state: 'expired', expiredAt: fs.statSync(this.expiredFile).mtime.toISOString() };
+    }
+    return { state: 'missing' };
+  }
+
+  invalidate(reason) {
+    logger.child({ component: 'Session' }).warn(`✗ Session expired${reason ? ` (${reason})` : ''}`);
+    if (this.hasSession() && !this.readOnly) {
+      fs.renameSync(this.sessionFile, this.expiredFile);
+    }
+  }
+
+  /**
+   * Make sure there is a session to use. Without one, log in interactively
+   * if allowed, otherwise fail with instructions.
+   */
+  async ensure({ interactive = false } = {}) {
+    if (this.hasSession()) return;
+    if (!interactive) {
+      throw new SessionExpiredError(`No valid session at ${path.basename(this.sessionFile)} — run "${this.loginCommand}" first`);
+    }
+    await this.login();
+  }
+
+  /**
+   * Open a headed browser on the assets page and wait until the site loads
+   * the creations list successfully, which only happens once logged in.
+   */
+  async login({ timeoutMs = LOGIN_TIMEOUT_MS } = {}) {
+    const { chromium } = require('playwright');
+    const log = logger.child({ component: 'Login' });
+    log.info('Opening browser — log in to your account in the window that appears');
+    const browser = await chromium.launch({ headless: false });
+
+    try {
+      const reuse = this.hasSession() ? this.sessionFile : fs.existsSync(this.expiredFile) ? this.expiredFile : null;
+      const context = await browser.newContext(reuse ? { storageState: reuse } : {});
+      const page = await context.newPage();
+
+      let authenticated = false;
+      page.on('response', async (res) => {
+        if (!res.url().includes(this.listPath) || res.status() !== 200) return;
+        try {
+          const body = await res.json();
+          if (this.isListBody(body)) authenticated = true;
+        } catch {
+          // Not the JSON list (e.g. an error page) — keep waiting
+        }
+      });
+
+      await page.goto(this.websiteUrl, { waitUntil: 'domcontentloaded' });
+
+      const start = Date.now();
+      let lastNudge = Date.now();
+      while (!authenticated) {
+        if (Date.now() - start > timeoutMs) {
+          throw new Error(`Login not completed within ${Math.round(timeoutMs / 60000)} minutes`);
+        }
+        await page.waitForTimeout(1000);
+
+        // After a login flow the site may land somewhere else; bring it back
+        // to the assets page so the list request (our success signal) fires
+        const url = page.url();
+        if (!authenticated && !isLoginUrl(url) && !url.startsWith(this.websiteUrl) && Date.now() - lastNudge > 5000) {
+          lastNudge = Date.now();
+          await page.goto(this.websiteUrl, { waitUntil: 'domcontentloaded' }).catch(() => {});
+        }
+      }
+
+      await context.storageState({ path: this.sessionFile });
+      if (fs.existsSync(this.expiredFile)) fs.unlinkSync(this.expiredFile);
+      log.info('✓ Logged in, session saved');
+    } finally {
+      await browser.close();
+    }
+  }
+}
+
+module.exports = SessionManager;
+module.exports.SessionExpiredError = SessionExpiredError;
+module.exports.isSessionExpiredResponse = isSessionExpiredResponse;
+module.exports.isLoginUrl = isLoginUrl;
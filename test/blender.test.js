@@ -0,0 +1,87 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findBlender, requireBlender, preflightBlender } = require('../blender');
+const AssetConverter = require('../converter');
+const logger = require('../logger');
+
+logger.configure({ level: 'error' });
+
+let tmpDir;
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usdz-blender-'));
+});
+afterEach(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// A stand-in Blender: a shell script that prints `output` and exits with `code`
+function fakeBlender(dir, output, code = 0) {
+  fs.mkdirSync(path.join(tmpDir, dir), { recursive: true });
+  const file = path.join(tmpDir, dir, 'blender');
+  fs.writeFileSync(file, `#!/bin/sh\ncat <<'EOF'\n${output}\nEOF\nexit ${code}\n`, { mode: 0o755 });
+  return file;
+}
+
+const preflightAnswer = (usdImport) => `Blender 4.2.1\nPREFLIGHT:${JSON.stringify({ version: '4.2.1', usdImport })}`;
+
+function lookup(overrides = {}) {
+  return findBlender({
+    env: {},
+    configFile: path.join(tmpDir, 'converter-config.json'),
+    platform: 'linux',
+    locations: [],
+    ...overrides,
+  });
+}
+
+test('looks at env, config, PATH and standard locations in that order', { skip: process.platform === 'win32' }, () => {
+  const fromEnv = fakeBlender('env', '');
+  const fromConfig = fakeBlender('config', '');
+  const fromPath = fakeBlender('bin', '');
+  const installed = fakeBlender('opt/blender-4.2', '');
+  const locations = [path.join(tmpDir, 'missing/blender'), installed];
+  const env = { BLENDER_PATH: fromEnv, PATH: `${path.join(tmpDir, 'nothing')}:${path.dirname(fromPath)}` };
+  fs.writeFileSync(path.join(tmpDir, 'converter-config.json'), JSON.stringify({ blenderPath: fromConfig }));
+
+  assert.deepEqual(lookup({ env, locations }), { path: fromEnv, source: 'env' });
+  assert.deepEqual(lookup({ env: { PATH: env.PATH }, locations }), { path: fromConfig, source: 'config' });
+  fs.rmSync(path.join(tmpDir, 'converter-config.json'));
+  assert.deepEqual(lookup({ env: { PATH: env.PATH }, locations }), { path: fromPath, source: 'path' });
+  assert.deepEqual(lookup({ locations }), { path: installed, source: 'standard' });
+  assert.deepEqual(lookup({ blenderPath: fromConfig, env, locations }), { path: fromConfig, source: 'option' });
+  assert.equal(lookup(), null);
+});
+
+test('an explicitly set path that does not exist is an error', () => {
+  assert.throws(() => lookup({ env: { BLENDER_PATH: '/nowhere/blender' } }), /\$BLENDER_PATH not found or not executable: \/nowhere\/blender/);
+  assert.throws(() => requireBlender({ env: {}, configFile: path.join(tmpDir, 'none.json'), locations: [] }), /Blender not found .* set BLENDER_PATH/);
+});
+
+test('preflight reports the version and USD importer', { skip: process.platform === 'win32' }, async () => {
+  const good = await preflightBlender(fakeBlender('good', preflightAnswer(true)));
+  assert.deepEqual([good.ok, good.version, good.usdImport, good.error], [true, '4.2.1', true, null]);
+
+  const noUsd = await preflightBlender(fakeBlender('no-usd', preflightAnswer(false)));
+  assert.deepEqual([noUsd.ok, noUsd.usdImport, noUsd.error], [true, false, null]);
+
+  const crashed = await preflightBlender(fakeBlender('crash', 'Segmentation fault', 139));
+  assert.match(crashed.error, /exited with code 139 without answering: Segmentation fault/);
+
+  const missing = await preflightBlender(path.join(tmpDir, 'missing'));
+  assert.match(missing.error, /Failed to start Blender/);
+});
+
+test('a USDZ batch stops before starting when the preflight fails', { skip: process.platform === 'win32' }, async () => {
+  const downloadsDir = path.join(tmpDir, 'downloads');
+  fs.mkdirSync(downloadsDir);
+  fs.writeFileSync(path.join(downloadsDir, 'model.usdz'), 'usdz');
+  const converter = new AssetConverter({
+    blenderPath: fakeBlender('no-usd', preflightAnswer(false)),
+    downloadsDir,
+    verbose: false,
+  });
+
+  await assert.rejects(converter.convert('usdz', 'glb'), /Blender preflight failed: Blender 4.2.1 was built without USD support/);
+  assert.equal(converter.preflightResult.source, 'option');
+});
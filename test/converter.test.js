@@ -0,0 +1,269 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Document, NodeIO } = require('@gltf-transform/core');
+const AssetConverter = require('../converter');
+const { execFileSync } = require('child_process');
+const { listConversions, registerConversion, resetConversions, resolveExportOptions, BLENDER_SCRIPT_VERSION } = require('../converter');
+const logger = require('../logger');
+
+logger.configure({ level: 'error' });
+
+let tmpDir;
+let downloadsDir;
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usdz-converter-'));
+  downloadsDir = path.join(tmpDir, 'downloads');
+  fs.mkdirSync(downloadsDir);
+});
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  resetConversions();
+});
+
+// A stand-in Blender: answers the preflight, then works through the job file
+// the way blender-convert.py reports it. Inputs named broken.* fail, slow.*
+// hang and crash.* take the process down. Each run's script and job file are
+// kept in last-run.json and its job count appended to runs.log.
+function fakeBlender({ usd = true } = {}) {
+  const file = path.join(tmpDir, 'blender');
+  fs.writeFileSync(file, `#!${process.execPath}
+const fs = require('fs');
+const path = require('path');
+const args = process.argv.slice(2);
+if (args.includes('--python-expr')) {
+  console.log('PREFLIGHT:' + JSON.stringify({ version: '4.2.1', usdImport: ${usd} }));
+  process.exit(0);
+}
+const jobFile = JSON.parse(fs.readFileSync(args[args.indexOf('--') + 1], 'utf8'));
+fs.writeFileSync(${JSON.stringify(path.join(tmpDir, 'last-run.json'))},
+  JSON.stringify({ script: args[args.indexOf('--python') + 1], jobFile }));
+const jobs = jobFile.jobs.map(job => [job.input, job.output]);
+fs.appendFileSync(${JSON.stringify(path.join(tmpDir, 'runs.log'))}, jobs.length + '\\n');
+jobs.forEach(([src, dst], i) => {
+  console.log('JOB ' + i + ' START');
+  const name = path.basename(src);
+  if (name.startsWith('slow')) Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 60000);
+  if (name.startsWith('crash')) {
+    console.error('Segmentation fault');
+    process.exit(139);
+  }
+  if (name.startsWith('broken')) {
+    console.log('JOB ' + i + ' ERROR bad file');
+    return;
+  }
+  fs.mkdirSync(path.dirname(dst), { recursive: true });
+  fs.writeFileSync(dst, 'from ' + src);
+  console.log('JOB ' + i + ' DONE');
+});
+`, { mode: 0o755 });
+  return file;
+}
+
+const lastRun = () => JSON.parse(fs.readFileSync(path.join(tmpDir, 'last-run.json'), 'utf8'));
+const runs = () => fs.readFileSync(path.join(tmpDir, 'runs.log'), 'utf8').trim().split('\n').map(Number);
+const statuses = result => result.results.map(r => [path.basename(r.input), r.status]);
+
+function place(rel, data = 'model') {
+  const file = path.join(downloadsDir, rel);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, data);
+  return file;
+}
+
+async function buildGlb(file) {
+  const doc = new Document();
+  const buffer = doc.createBuffer();
+  const position = doc.createAccessor().setType('VEC3').setBuffer(buffer)
+    .setArray(new Float32Array([0, 0, 0, 1, 0, 0, 1, 1, 0]));
+  const png = Buffer.from('89504e470d0a1a0a0000000d4948445200000001000000010806000000' +
+    '1f15c4890000000d49444154789c6360000002000154a24f5d0000000049454e44ae426082', 'hex');
+  const texture = doc.createTexture('base').setImage(png).setMimeType('image/png');
+  const prim = doc.createPrimitive().setAttribute('POSITION', position)
+    .setMaterial(doc.createMaterial().setBaseColorTexture(texture));
+  doc.createScene().addChild(doc.createNode().setMesh(doc.createMesh().addPrimitive(prim)));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, await new NodeIO().writeBinary(doc));
+}
+
+test('lists the supported pairs with their backends, best first', () => {
+  const pairs = listConversions().map(c => `${c.from}->${c.to}:${c.backends.join('|')}`);
+  assert.deepEqual(pairs, [
+    'usdz->glb:blender',
+    'glb->usdz:blender',
+    'obj->glb:blender',
+    'glb->fbx:blender',
+    'glb->gltf:gltf-transform|blender',
+  ]);
+  assert.deepEqual(AssetConverter.listConversions(), listConversions());
+});
+
+test('chooses the first backend unless one is picked for the pair', () => {
+  const converter = new AssetConverter({ verbose: false });
+  assert.equal(converter.chooseBackend('glb', 'gltf'), 'gltf-transform');
+  assert.equal(converter.chooseBackend('glb', 'usdz'), 'blender');
+
+  const picked = new AssetConverter({ verbose: false, backends: { 'glb->gltf': 'blender', 'obj->glb': 'gltf-transform' } });
+  assert.equal(picked.chooseBackend('glb', 'gltf'), 'blender');
+  assert.throws(() => picked.chooseBackend('obj', 'glb'), /Backend "gltf-transform" cannot convert obj to glb \(available: blender\)/);
+  assert.throws(() => converter.chooseBackend('fbx', 'obj'), /Conversion from fbx to obj not supported \(supported: usdz → glb, /);
+});
+
+test('registering a pair checks each backend can handle it', () => {
+  assert.throws(() => registerConversion('obj', 'gltf', ['gltf-transform']), /gltf-transform cannot convert obj to gltf/);
+  assert.throws(() => registerConversion('glb', 'stl', ['blender']), /blender cannot convert glb to stl/);
+  assert.throws(() => registerConversion('glb', 'gltf', ['assimp']), /Unknown conversion backend "assimp"/);
+
+  registerConversion('gltf', 'glb', ['gltf-transform']);
+  registerConversion('glb', 'gltf', ['blender']);
+  assert.equal(new AssetConverter({ verbose: false }).chooseBackend('gltf', 'glb'), 'gltf-transform');
+  assert.equal(new AssetConverter({ verbose: false }).chooseBackend('glb', 'gltf'), 'blender');
+
+  resetConversions();
+  assert.ok(!listConversions().some(c => c.from === 'gltf'));
+  assert.equal(new AssetConverter({ verbose: false }).chooseBackend('glb', 'gltf'), 'gltf-transform');
+});
+
+test('glb → gltf in-process: a folder per model with separate buffer and textures', async () => {
+  await buildGlb(path.join(downloadsDir, 'c1/v1/model.glb'));
+  place('c1/v1/broken.glb', 'not a glb');
+  // Earlier output inside the downloads directory is not picked up again
+  await buildGlb(path.join(downloadsDir, 'converted/old.glb'));
+
+  const converter = new AssetConverter({ downloadsDir, verbose: false });
+  const result = await converter.convert('glb', 'gltf');
+
+  assert.equal(result.backend, 'gltf-transform');
+  assert.equal(result.converted, 1);
+  const outDir = path.join(downloadsDir, 'converted/c1/v1/model');
+  assert.equal(result.files[0].path, path.join(outDir, 'model.gltf'));
+  assert.deepEqual(fs.readdirSync(outDir).sort(), ['baseColor.png', 'model.bin', 'model.gltf']);
+  const json = JSON.parse(fs.readFileSync(path.join(outDir, 'model.gltf'), 'utf8'));
+  assert.deepEqual([json.buffers[0].uri, json.images[0].uri], ['model.bin', 'baseColor.png']);
+
+  assert.deepEqual(statuses(result), [['broken.glb', 'failed'], ['model.glb', 'converted']]);
+  assert.equal(result.failed[0].input, path.join(downloadsDir, 'c1/v1/broken.glb'));
+  assert.ok(result.failed[0].error);
+
+  const listed = converter.getConvertedFiles().map(f => f.filename).sort();
+  assert.deepEqual(listed, ['c1/v1/model/model.gltf', 'old.glb']);
+});
+
+test('Blender runs the fixed script over a JSON job file', { skip: process.platform === 'win32' }, async () => {
+  place('c1/v1/model.glb');
+  place('c2/v1/broken.glb');
+  const outputDir = path.join(tmpDir, 'converted');
+  const converter = new AssetConverter({ blenderPath: fakeBlender(), downloadsDir, outputDir, verbose: false });
+
+  const result = await converter.convert('glb', 'fbx');
+
+  assert.equal(result.backend, 'blender');
+  assert.deepEqual(result.files.map(f => f.path), [path.join(outputDir, 'c1/v1/model.fbx')]);
+  const { script, jobFile } = lastRun();
+  assert.equal(script, path.join(__dirname, '..', 'blender-convert.py'));
+  assert.equal(jobFile.version, BLENDER_SCRIPT_VERSION);
+  assert.deepEqual(jobFile.jobs[0], {
+    input: path.join(downloadsDir, 'c1/v1/model.glb'),
+    output: path.join(outputDir, 'c1/v1/model.fbx'),
+    inputFormat: 'glb',
+    outputFormat: 'fbx',
+    options: { embedTextures: true },
+  });
+  assert.deepEqual(statuses(result), [['model.glb', 'converted'], ['broken.glb', 'failed']]);
+  assert.equal(result.failed[0].error, 'bad file');
+  assert.deepEqual(runs(), [2]);
+});
+
+test('a file that hangs or crashes Blender fails alone; the rest go to a new process', { skip: process.platform === 'win32' }, async () => {
+  ['a.glb', 'slow.glb', 'b.glb', 'crash.glb', 'c.glb'].forEach(name => place(name));
+  const converter = new AssetConverter({ blenderPath: fakeBlender(), downloadsDir, fileTimeout: 1000, verbose: false });
+
+  const result = await converter.convert('glb', 'fbx');
+
+  assert.deepEqual(statuses(result), [
+    ['a.glb', 'converted'],
+    ['b.glb', 'converted'],
+    ['c.glb', 'converted'],
+    ['crash.glb', 'failed'],
+    ['slow.glb', 'timed-out'],
+  ]);
+  assert.match(result.failed[0].error, /Blender exited with code 139: Segmentation fault/);
+  assert.equal(result.failed[1].error, 'no result after 1s');
+  // Inputs run in name order: the crash ends the first process, slow.glb gets a second
+  assert.deepEqual(runs(), [5, 1]);
+});
+
+test('parallel workers share the files and report every input in order', { skip: process.platform === 'win32' }, async () => {
+  ['a', 'b', 'c', 'd', 'e'].forEach(name => place(`${name}.glb`));
+  const converter = new AssetConverter({ blenderPath: fakeBlender(), downloadsDir, workers: 2, verbose: false });
+
+  const result = await converter.convert('glb', 'fbx');
+
+  assert.deepEqual(result.results.map(r => path.basename(r.output)), ['a.fbx', 'b.fbx', 'c.fbx', 'd.fbx', 'e.fbx']);
+  assert.equal(result.converted, 5);
+  assert.deepEqual(runs().sort(), [2, 3]);
+});
+
+test('workers must be a positive whole number', () => {
+  for (const workers of [2.5, 0, -1, 'two']) {
+    assert.throws(() => new AssetConverter({ workers }), /workers must be a positive whole number/);
+  }
+  assert.equal(new AssetConverter({ workers: '3' }).workers, 3);
+  assert.equal(new AssetConverter().workers, 1);
+});
+
+test('USDZ pairs need a Blender built with USD; others do not', { skip: process.platform === 'win32' }, async () => {
+  place('model.glb');
+  place('model.obj');
+  const converter = new AssetConverter({ blenderPath: fakeBlender({ usd: false }), downloadsDir, verbose: false });
+
+  await assert.rejects(converter.convert('glb', 'usdz'), /Blender preflight failed: Blender 4.2.1 was built without USD support/);
+  const result = await converter.convert('obj', 'glb');
+  assert.equal(result.converted, 1);
+  assert.equal(lastRun().jobFile.jobs[0].inputFormat, 'obj');
+});
+
+test('paths and export options reach Blender as data, per job', { skip: process.platform === 'win32' }, async () => {
+  const input = place(`it's "odd" {0}\\/model.obj`);
+  const converter = new AssetConverter({
+    blenderPath: fakeBlender(),
+    downloadsDir,
+    exportOptions: { glb: { imageQuality: 80 } },
+    verbose: false,
+  });
+
+  const result = await converter.convert('obj', 'glb', { exportOptions: { dracoLevel: 9 } });
+
+  assert.equal(result.converted, 1);
+  const [job] = lastRun().jobFile.jobs;
+  assert.equal(job.input, input);
+  assert.deepEqual(job.options, { imageFormat: 'WEBP', imageQuality: 80, draco: true, dracoLevel: 9 });
+  await assert.rejects(converter.convert('obj', 'glb', { exportOptions: { dracoLevel: 11 } }), /Invalid glb export option dracoLevel: 11/);
+});
+
+test('export options are checked against the output format', () => {
+  assert.deepEqual(resolveExportOptions('fbx'), { embedTextures: true });
+  assert.equal(resolveExportOptions('gltf', { imageFormat: 'JPEG' }, undefined, { imageQuality: 90 }).imageQuality, 90);
+  assert.throws(() => resolveExportOptions('fbx', { draco: true }), /Unknown export option "draco" for fbx \(expected embedTextures\)/);
+  assert.throws(() => resolveExportOptions('glb', { imageFormat: 'webp' }), /Invalid glb export option imageFormat: "webp"/);
+  assert.throws(() => resolveExportOptions('glb', { imageQuality: 101 }), /Invalid glb export option imageQuality: 101/);
+  assert.throws(() => resolveExportOptions('stl'), /Blender cannot export stl/);
+});
+
+const python = ['python3', 'python'].find(cmd => {
+  try {
+    execFileSync(cmd, ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+});
+
+test('blender-convert.py compiles and expects the job file version we write', { skip: !python && 'no Python' }, () => {
+  const script = path.join(__dirname, '..', 'blender-convert.py');
+  const source = fs.readFileSync(script, 'utf8');
+  assert.match(source, new RegExp(`^SCRIPT_VERSION = ${BLENDER_SCRIPT_VERSION}$`, 'm'));
+  execFileSync(python, ['-c', 'import ast, sys; ast.parse(open(sys.argv[1], encoding="utf-8").read())', script]);
+});
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCreationsList, CreationsListParser } = require('../creations-parser');
+
+const quiet = { warn() {} };
+
+function creation(id, statuses = ['success']) {
+  return {
+    id,
+    title: `Title ${id}`,
+    result: statuses.map((status, v) => ({
+      assetId: `${id}-r${v}`,
+      status,
+      urlResult: status === 'success' ? { glb: `https://cdn.example.com/${id}/${v}/model.glb` } : {},
+    })),
+  };
+}
+
+test('reads creations, totalCount and keeps only successful variants', () => {
+  const body = JSON.stringify({ code: 0, msg: 'ok, [done]', totalCount: 12, creations: [creation('a', ['success', 'failed', 'success'])] });
+  const { creations, totalCount, errors } = parseCreationsList(body, quiet);
+
+  assert.equal(totalCount, 12);
+  assert.deepEqual(errors, []);
+  assert.equal(creations.length, 1);
+  assert.deepEqual(creations[0].result.map(r => r.assetId), ['a-r0', 'a-r2']);
+});
+
+test('accepts the list under data', () => {
+  const { creations } = parseCreationsList(JSON.stringify({ data: [creation('a')] }), quiet);
+  assert.deepEqual(creations.map(c => c.id), ['a']);
+});
+
+test('reads the creation time as epoch milliseconds', () => {
+  const ms = Date.UTC(2026, 9, 12, 8, 30);
+  const body = JSON.stringify({
+    creations: [
+      { ...creation('ms'), createTime: ms },
+      { ...creation('s'), createTime: ms / 1000 },
+      { ...creation('str'), createTime: String(ms) },
+      { ...creation('iso'), createdAt: new Date(ms).toISOString() },
+      { ...creation('none') },
+      { ...creation('junk'), createTime: 'yesterday' },
+    ],
+  });
+  const { creations } = parseCreationsList(body, quiet);
+
+  assert.deepEqual(creations.map(c => c.createdAt), [ms, ms, ms, ms, null, null]);
+});
+
+test('reports a malformed entry and keeps its neighbours', () => {
+  const broken = { id: 'b', title: 'no urls', result: [{ assetId: 'b-r0', status: 'success' }] };
+  const body = JSON.stringify({ totalCount: 3, creations: [creation('a'), broken, creation('c')] });
+  const { creations, errors } = parseCreationsList(body, quiet);
+
+  assert.deepEqual(creations.map(c => c.id), ['a', 'c']);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].index, 1);
+  assert.equal(errors[0].id, 'b');
+  assert.match(errors[0].reason, /no urlResult/);
+});
+
+test('never pairs URLs across creations when results are uneven', () => {
+  const body = JSON.stringify({ creations: [creation('a', ['success']), creation('b', ['success', 'success', 'success', 'success', 'success'])] });
+  const { creations } = parseCreationsList(body, quiet);
+
+  for (const c of creations) {
+    assert.ok(c.result.every(r => r.urlResult.glb.includes(`/${c.id}/`)));
+  }
+  assert.equal(creations[1].result.length, 5);
+});
+
+test('rejects entries with a missing id, bad result or non-URL file', () => {
+  const body = JSON.stringify({
+    creations: [
+      { title: 'no id', result: [] },
+      { id: 'x', result: 'nope' },
+      { id: 'y', result: [{ status: 'success', urlResult: { glb: 'file:///etc/passwd' } }] },
+      { id: 'z', result: [{ urlResult: {} }] },
+      creation('ok'),
+    ],
+  });
+  const { creations, errors } = parseCreationsList(body, quiet);
+
+  assert.deepEqual(creations.map(c => c.id), ['ok']);
+  assert.deepEqual(errors.map(e => e.index), [0, 1, 2, 3]);
+});
+
+test('keeps the complete entries of a truncated body', () => {
+  const body = JSON.stringify({ totalCount: 3, creations: [creation('a'), creation('b'), creation('c')] });
+  const cut = body.slice(0, body.indexOf('"id":"c"') + 20);
+  const { creations, totalCount, errors } = parseCreationsList(cut, quiet);
+
+  assert.equal(totalCount, 3);
+  assert.deepEqual(creations.map(c => c.id), ['a', 'b']);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].id, 'c');
+  assert.match(errors[0].reason, /truncated/);
+});
+
+test('parses a body fed in small chunks, split inside multibyte characters', () => {
+  const body = Buffer.from(JSON.stringify({ totalCount: 1, creations: [{ ...creation('a'), title: '小猫 "模型" \\ 1' }] }));
+  const parser = new CreationsListParser();
+  for (let i = 0; i < body.length; i += 3) parser.write(body.subarray(i, i + 3));
+  const { creations, errors } = parser.end();
+
+  assert.deepEqual(errors, []);
+  assert.equal(creations[0].title, '小猫 "模型" \\ 1');
+});
+
+test('reports a body that is not a list response', () => {
+  assert.match(parseCreationsList('<html>login</html>', quiet).errors[0].reason, /not a JSON object/);
+  assert.match(parseCreationsList('{"code":401}', quiet).errors[0].reason, /no creations/);
+  assert.deepEqual(parseCreationsList('', quiet).creations, []);
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DownloadPool = require('../download-pool');
+const { mapConcurrent } = require('../download-pool');
+
+// A task that runs until release() is called, recording when it started
+function gate(log, name) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return { release, task: () => { log.push(name); return done.then(() => name); } };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('never runs more than perHost tasks against one host', async () => {
+  const pool = new DownloadPool({ concurrency: 4, perHost: 2 });
+  const started = [];
+  const gates = ['a1', 'a2', 'a3'].map(name => gate(started, name));
+  const results = gates.map(g => pool.run('https://cdn-a.example.com/file', g.task));
+  await tick();
+
+  assert.deepEqual(started, ['a1', 'a2']);
+  gates[0].release();
+  await tick();
+  assert.deepEqual(started, ['a1', 'a2', 'a3']);
+
+  gates.slice(1).forEach(g => g.release());
+  assert.deepEqual(await Promise.all(results), ['a1', 'a2', 'a3']);
+  assert.equal(pool.stats.peak, 2);
+});
+
+test('skips over a saturated host and caps the total', async () => {
+  const pool = new DownloadPool({ concurrency: 3, perHost: 2 });
+  const started = [];
+  const jobs = [
+    ['a1', 'https://a.example.com/1'],
+    ['a2', 'https://a.example.com/2'],
+    ['a3', 'https://a.example.com/3'],
+    ['b1', 'https://b.example.com/1'],
+    ['c1', 'https://c.example.com/1'],
+  ].map(([name, url]) => ({ name, url, ...gate(started, name) }));
+  const results = jobs.map(job => pool.run(job.url, job.task));
+  await tick();
+
+  // a3 waits for its host; b1 takes the last free slot; c1 waits for any slot
+  assert.deepEqual(started, ['a1', 'a2', 'b1']);
+  jobs.find(j => j.name === 'b1').release();
+  await tick();
+  assert.deepEqual(started, ['a1', 'a2', 'b1', 'c1']);
+
+  jobs.forEach(j => j.release());
+  await Promise.all(results);
+  assert.equal(pool.stats.peak, 3);
+  assert.equal(pool.stats.completed, 5);
+});
+
+test('a failed task frees its slot and rejects its own promise only', async () => {
+  const pool = new DownloadPool({ concurrency: 1, perHost: 1 });
+  const failed = pool.run('https://a.example.com/1', async () => { throw new Error('boom'); });
+  const next = pool.run('https://a.example.com/2', async () => 'ok');
+
+  await assert.rejects(failed, /boom/);
+  assert.equal(await next, 'ok');
+  assert.deepEqual([pool.stats.completed, pool.stats.failed], [1, 1]);
+});
+
+test('mapConcurrent keeps input order with a bounded number in flight', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await mapConcurrent([30, 10, 20, 0], 2, async (ms, i) => {
+    peak = Math.max(peak, ++inFlight);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    inFlight--;
+    return i;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3]);
+  assert.equal(peak, 2);
+});
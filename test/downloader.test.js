@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const OptimizedDownloader = require('../downloader');
+const { variantFilename } = require('../downloader');
+
+const served = name => variantFilename('obj', `https://cdn.example.com/files/abc/${name}?sign=1`);
+
+test('GLB variants are named by format', () => {
+  assert.equal(variantFilename('glb', 'https://cdn.example.com/a/b/xyz.glb?x=1'), 'model.glb');
+  assert.equal(variantFilename('geometryGlb', 'https://cdn.example.com/a/geometry.glb'), 'geometry.glb');
+});
+
+test('OBJ and MTL keep their served, decoded names', () => {
+  assert.equal(served('my%20chair.obj'), 'my chair.obj');
+  assert.equal(variantFilename('mtl', 'https://cdn.example.com/files/abc/chair.mtl'), 'chair.mtl');
+});
+
+test('served names are reduced to a single safe path segment', () => {
+  assert.equal(served('..%2F..%2F..%2Fevil.obj'), 'evil.obj');
+  assert.equal(served('..%5C..%5Cevil.obj'), 'evil.obj');
+  assert.equal(served('..'), 'model.obj');
+  assert.equal(served('%2E%2E'), 'model.obj');
+  assert.equal(served(''), 'model.obj');
+  assert.equal(variantFilename('mtl', 'https://cdn.example.com/files/abc/'), 'model.mtl');
+});
+
+test('a malformed escape keeps the name as served instead of throwing', () => {
+  assert.equal(served('bad%E0%A4.obj'), 'bad%E0%A4.obj');
+  assert.equal(served('..%2Fbad%E0%A4.obj'), '..%2Fbad%E0%A4.obj');
+});
+
+test('concurrency options must be positive whole numbers', () => {
+  for (const concurrency of [0, -1, 1.5, 'abc']) {
+    assert.throws(() => new OptimizedDownloader({ concurrency }), /concurrency must be a positive whole number/);
+  }
+  assert.throws(() => new OptimizedDownloader({ perHostConcurrency: 0 }), /perHostConcurrency must be a positive whole number/);
+  const downloader = new OptimizedDownloader({ concurrency: '6' });
+  assert.deepEqual([downloader.concurrency, downloader.perHostConcurrency], [6, 2]);
+});
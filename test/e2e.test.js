@@ -0,0 +1,506 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OptimizedDownloader = require('../downloader');
+const { SessionExpiredError } = require('../downloader');
+const MockHunyuanServer = require('./mock-server');
+const { validateFile } = require('../validator');
+const { CreationsListParser } = require('../creations-parser');
+const logger = require('../logger');
+
+// End-to-end runs of OptimizedDownloader against the local mock server.
+// API mode needs no browser; the browser-mode test only runs when
+// Playwright's Chromium is installed.
+
+let server;
+let workDir;
+
+logger.configure({ level: 'warn' });
+
+async function startServer(options) {
+  server = await new MockHunyuanServer(options).start();
+  fs.writeFileSync(path.join(workDir, 'session.json'), JSON.stringify(server.sessionState()));
+  return server;
+}
+
+function createDownloader(options = {}) {
+  return new OptimizedDownloader({
+    mode: 'api',
+    websiteUrl: server.websiteUrl,
+    downloadsDir: path.join(workDir, 'downloads'),
+    convertedDir: path.join(workDir, 'converted'),
+    stateFile: path.join(workDir, 'state.json'),
+    sessionFile: path.join(workDir, 'session.json'),
+    manifestFile: path.join(workDir, 'manifest.json'),
+    templateFile: path.join(workDir, 'list-request.json'),
+    cacheDir: workDir,
+    skipConvert: true,
+    downloadTimeout: 500,
+    retryDelay: 10,
+    ...options,
+  });
+}
+
+function downloadedGlbs() {
+  return OptimizedDownloader.listFiles(path.join(workDir, 'downloads'), '.glb');
+}
+
+function fileRequests(match) {
+  return server.requests.filter(r => r.path.includes(match) && r.method === 'GET');
+}
+
+// Every file under the work dir with its size and mtime
+function snapshot(dir = workDir) {
+  const files = {};
+  const walk = (rel) => {
+    for (const entry of fs.readdirSync(path.join(dir, rel), { withFileTypes: true })) {
+      const child = path.join(rel, entry.name);
+      if (entry.isDirectory()) walk(child);
+      else {
+        const stat = fs.statSync(path.join(dir, child));
+        files[child] = `${stat.size}@${stat.mtimeMs}`;
+      }
+    }
+  };
+  walk('');
+  return files;
+}
+
+function hasChromium() {
+  try {
+    return fs.existsSync(require('playwright').chromium.executablePath());
+  } catch {
+    return false;
+  }
+}
+
+beforeEach(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usdz-e2e-'));
+});
+
+afterEach(async () => {
+  if (server) await server.stop();
+  server = null;
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('download workflow', () => {
+  test('downloads every variant across list pages, then deletes each creation', async () => {
+    await startServer({ creationCount: 45, variantsPerCreation: 2 });
+    const downloader = createDownloader();
+    const completed = [];
+    downloader.on(OptimizedDownloader.EVENTS.DOWNLOAD_COMPLETE, e => completed.push(e));
+
+    const summary = await downloader.run();
+
+    assert.equal(summary.assetsProcessed, 45);
+    assert.equal(summary.filesDownloaded, 90);
+    assert.equal(summary.assetsDeleted, 45);
+    assert.equal(server.deleted.size, 45);
+    assert.equal(server.requests.filter(r => r.path.endsWith('/creations/list')).length, 3);
+    assert.ok(completed.every(e => e.success));
+
+    const glbs = downloadedGlbs();
+    assert.equal(glbs.length, 90);
+    for (const glb of glbs) {
+      const result = await validateFile(path.join(workDir, 'downloads', glb), { format: 'glb' });
+      assert.ok(result.ok, `${glb}: ${result.reason}`);
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(workDir, 'manifest.json'), 'utf8'));
+    const entries = Object.values(manifest.creations);
+    assert.equal(entries.length, 45);
+    assert.ok(entries.every(e => e.deletion.status === 'deleted' && e.variants.length === 2));
+  });
+
+  test('writes a JSON-lines run log that traces each creation', async () => {
+    await startServer({ creationCount: 2, variantsPerCreation: 1 });
+    const downloader = createDownloader();
+    await downloader.run();
+
+    const logs = fs.readdirSync(path.join(workDir, 'logs'));
+    assert.equal(logs.length, 1);
+    const records = fs.readFileSync(path.join(workDir, 'logs', logs[0]), 'utf8').trim().split('\n').map(JSON.parse);
+    const runId = path.basename(logs[0], '.jsonl');
+    assert.ok(records.every(r => r.runId === runId && r.time && r.level && r.component));
+
+    const [creation] = server.creations;
+    const trail = records.filter(r => r.creationId === creation.id);
+    assert.ok(trail.some(r => r.component === 'Download' && r.variant === 1 && r.sha256));
+    assert.ok(trail.some(r => r.component === 'Delete' && r.status === 200));
+  });
+
+  test('warns when the list stops short of its totalCount', async () => {
+    await startServer({ creationCount: 3, variantsPerCreation: 1, unlisted: 2 });
+    const summary = await createDownloader({ deletePolicy: 'never' }).run();
+
+    assert.equal(summary.assetsProcessed, 3);
+    const [log] = fs.readdirSync(path.join(workDir, 'logs'));
+    const records = fs.readFileSync(path.join(workDir, 'logs', log), 'utf8').trim().split('\n').map(JSON.parse);
+    assert.ok(records.some(r => r.level === 'warn' && r.component === 'API' && r.msg.includes('Collected 3/5 creations')));
+  });
+
+  test('skips failed variants and keeps successful ones', async () => {
+    await startServer({ creationCount: 2, variantsPerCreation: 4, failedVariantEvery: 2 });
+    const summary = await createDownloader().run();
+
+    assert.equal(summary.filesDownloaded, 4);
+    assert.equal(downloadedGlbs().length, 4);
+  });
+
+  test('reads a multi-megabyte list response', async () => {
+    await startServer({ creationCount: 20, variantsPerCreation: 1, padding: 256 * 1024 });
+    const write = CreationsListParser.prototype.write;
+    const chunks = [];
+    CreationsListParser.prototype.write = function (chunk) {
+      if (Buffer.isBuffer(chunk)) chunks.push(chunk.length);
+      return write.call(this, chunk);
+    };
+    let creations;
+    try {
+      creations = await createDownloader().listAssets();
+    } finally {
+      CreationsListParser.prototype.write = write;
+    }
+
+    assert.equal(creations.length, 20);
+    // Parsed as the body arrives, never as one whole-body string
+    assert.ok(chunks.length > 1);
+    assert.ok(Math.max(...chunks) < 1024 * 1024);
+    const listResponse = server.requests.find(r => r.path.endsWith('/creations/list'));
+    assert.ok(listResponse, 'list was requested');
+  });
+
+  test('downloads OBJ with its MTL and referenced texture', async () => {
+    await startServer({ creationCount: 1, variantsPerCreation: 1 });
+    const summary = await createDownloader({ formats: ['obj'] }).run();
+
+    assert.equal(summary.filesDownloaded, 3);
+    const [creation] = server.creations;
+    const variantDir = path.join(workDir, 'downloads', `mock_creation_1_${creation.id.slice(0, 8)}`, 'v1');
+    assert.deepEqual(fs.readdirSync(variantDir).sort(), [
+      `${creation.variants[0].assetId}.mtl`,
+      `${creation.variants[0].assetId}.obj`,
+      'texture.png',
+    ]);
+  });
+
+  test('converts downloaded GLBs in-process with the chosen preset', async () => {
+    await startServer({ creationCount: 2, variantsPerCreation: 1 });
+    const converted = [];
+    const downloader = createDownloader({ skipConvert: false, convertPreset: 'web-hq', deletePolicy: 'after-convert' });
+    downloader.on(OptimizedDownloader.EVENTS.CONVERT_COMPLETE, e => converted.push(e));
+
+    const summary = await downloader.run();
+
+    assert.equal(summary.assetsDeleted, 2);
+    assert.deepEqual(converted.map(e => e.preset), ['web-hq', 'web-hq']);
+    assert.equal(downloadedGlbs().length, 0);
+    for (const { outputPath } of converted) {
+      assert.ok((await validateFile(outputPath, { format: 'glb' })).ok);
+    }
+    const report = JSON.parse(fs.readFileSync(downloader.reportFiles.json, 'utf8'));
+    assert.equal(report.totals.converted, 2);
+  });
+
+  test('records the failing stage of a GLB that cannot be converted', async () => {
+    await startServer({ creationCount: 1, variantsPerCreation: 1 });
+    const broken = path.join(workDir, 'downloads', 'broken', 'model.glb');
+    fs.mkdirSync(path.dirname(broken), { recursive: true });
+    fs.writeFileSync(broken, 'not a glb');
+    const errors = [];
+    const downloader = createDownloader({ skipConvert: false, deletePolicy: 'never' });
+    downloader.on(OptimizedDownloader.EVENTS.ERROR, e => errors.push(e));
+
+    await downloader.convertDownloadedGlbs();
+
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].stage, 'convert');
+    assert.equal(errors[0].error.stage, 'read');
+    assert.ok(fs.existsSync(broken));
+    const report = JSON.parse(fs.readFileSync(downloader.reportFiles.json, 'utf8'));
+    assert.deepEqual(report.conversions.map(c => [c.ok, c.step, c.preset]), [[false, 'read', 'web-tiny']]);
+  });
+
+  test('a second run finds everything in the library and downloads nothing', async () => {
+    await startServer({ creationCount: 3, variantsPerCreation: 1 });
+    await createDownloader({ deletePolicy: 'never' }).run();
+    const before = fileRequests('/files/').length;
+
+    const summary = await createDownloader({ deletePolicy: 'never' }).run();
+
+    assert.equal(summary.filesDownloaded, 0);
+    assert.equal(fileRequests('/files/').length, before);
+    assert.equal(server.deleted.size, 0);
+  });
+
+  test('a limit counts only creations not yet in the library', async () => {
+    await startServer({ creationCount: 3, variantsPerCreation: 1 });
+    const first = await createDownloader({ deletePolicy: 'never', selection: { limit: 2 } }).run();
+    const second = await createDownloader({ deletePolicy: 'never', selection: { limit: 2 } }).run();
+
+    assert.equal(first.filesDownloaded, 2);
+    assert.equal(second.filesDownloaded, 1);
+    assert.equal(downloadedGlbs().length, 3);
+  });
+
+  test('a delete that failed is tried again on the next run', async () => {
+    await startServer({ creationCount: 1, variantsPerCreation: 1 });
+    const [creation] = server.creations;
+    server.failDelete();
+
+    const first = await createDownloader().run();
+    assert.deepEqual([first.filesDownloaded, first.assetsDeleted], [1, 0]);
+    assert.equal(server.deleted.size, 0);
+
+    const second = await createDownloader().run();
+    assert.deepEqual([second.filesDownloaded, second.assetsDeleted], [0, 1]);
+    assert.ok(server.deleted.has(creation.id));
+  });
+
+  test('downloads and deletes only the selected creations', async () => {
+    await startServer({ creationCount: 6, variantsPerCreation: 1 });
+    // Mock creations are one hour apart, newest first
+    const since = new Date(Date.now() - 2.5 * 60 * 60 * 1000);
+    const downloader = createDownloader({ selection: { since, excludeTitle: 'creation 2$' } });
+
+    const summary = await downloader.run();
+
+    const [first, , third] = server.creations;
+    assert.equal(summary.assetsProcessed, 2);
+    assert.deepEqual([...server.deleted].sort(), [first.id, third.id].sort());
+    assert.equal(downloadedGlbs().length, 2);
+  });
+
+  test('dry run plans without downloading or deleting', async () => {
+    await startServer({ creationCount: 3, variantsPerCreation: 2 });
+    const before = snapshot();
+    const plan = await createDownloader({ dryRun: true }).run();
+
+    assert.equal(plan.totals.creations, 3);
+    assert.equal(plan.totals.toDelete, 3);
+    assert.equal(downloadedGlbs().length, 0);
+    assert.equal(server.deleted.size, 0);
+    assert.equal(fileRequests('/files/').length, 0);
+    assert.deepEqual(snapshot(), before);
+  });
+
+  test('a dry run with an expired session leaves the session file in place', async () => {
+    await startServer({ creationCount: 1, variantsPerCreation: 1 });
+    server.expireSession();
+    const before = snapshot();
+
+    await assert.rejects(createDownloader({ dryRun: true }).run(), SessionExpiredError);
+    assert.deepEqual(snapshot(), before);
+  });
+});
+
+describe('download failures', () => {
+  test('follows a 302 redirect', async () => {
+    await startServer({ creationCount: 1, variantsPerCreation: 1 });
+    server.fail('/files/', 'redirect', { times: Infinity });
+
+    const summary = await createDownloader().run();
+
+    assert.equal(summary.filesDownloaded, 1);
+    assert.equal(fileRequests('/cdn/').length, 1);
+    assert.equal(server.deleted.size, 1);
+  });
+
+  test('retries after an HTTP 500', async () => {
+    await startServer({ creationCount: 1, variantsPerCreation: 1 });
+    server.fail('model.glb', 'error', { times: 2 });
+
+    const summary = await createDownloader().run();
+
+    assert.equal(summary.filesDownloaded, 1);
+    assert.equal(fileRequests('model.glb').length, 3);
+  });
+
+  test('resumes a truncated body with a Range request', async () => {
+    await startServer({ creationCount: 1, variantsPerCreation: 1 });
+    server.fail('model.glb', 'truncate');
+
+    const summary = await createDownloader().run();
+
+    assert.equal(summary.filesDownloaded, 1);
+    const [first, second] = fileRequests('model.glb');
+    assert.equal(first.headers.range, undefined);
+    assert.match(second.headers.range, /^bytes=\d+-$/);
+    const [glb] = downloadedGlbs();
+    assert.ok((await validateFile(path.join(workDir, 'downloads', glb), { format: 'glb' })).ok);
+  });
+
+  test('retries after a timeout', async () => {
+    await startServer({ creationCount: 1, variantsPerCreation: 1 });
+    server.fail('model.glb', 'timeout');
+
+    const summary = await createDownloader().run();
+
+    assert.equal(summary.filesDownloaded, 1);
+    assert.equal(fileRequests('model.glb').length, 2);
+  });
+
+  test('keeps a creation on the server when a file never downloads', async () => {
+    await startServer({ creationCount: 2, variantsPerCreation: 2 });
+    const broken = server.creations[0];
+    server.fail(broken.variants[1].assetId, 'error', { times: Infinity });
+    const errors = [];
+
+    const downloader = createDownloader();
+    downloader.on(OptimizedDownloader.EVENTS.ERROR, e => errors.push(e));
+    const summary = await downloader.run();
+
+    assert.equal(summary.assetsDeleted, 1);
+    assert.ok(!server.deleted.has(broken.id));
+    assert.ok(server.deleted.has(server.creations[1].id));
+    assert.ok(errors.some(e => e.stage === 'download' && e.creationId === broken.id));
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(workDir, 'manifest.json'), 'utf8'));
+    assert.equal(manifest.creations[broken.id], undefined);
+  });
+
+  test('the run report records per-file results, deletes and errors', async () => {
+    await startServer({ creationCount: 2, variantsPerCreation: 2 });
+    const broken = server.creations[0];
+    server.fail(broken.variants[1].assetId, 'error', { times: Infinity });
+
+    const downloader = createDownloader({ htmlReport: true });
+    await downloader.run();
+
+    const report = JSON.parse(fs.readFileSync(downloader.reportFiles.json, 'utf8'));
+    assert.equal(report.status, 'completed');
+    assert.equal(report.command, 'download');
+    assert.equal(report.totals.filesDownloaded, 3);
+    assert.equal(report.totals.filesFailed, 1);
+    assert.equal(report.totals.deleted, 1);
+    assert.ok(report.totals.bytesTransferred > 0);
+    assert.equal(report.summary.assetsDeleted, 1);
+
+    const [failed, ok] = [broken.id, server.creations[1].id].map(id => report.creations.find(c => c.id === id));
+    assert.equal(failed.outcome, 'partial');
+    assert.equal(failed.delete, null);
+    assert.ok(failed.files.some(f => f.status === 'failed' && f.error));
+    assert.equal(ok.outcome, 'downloaded');
+    assert.deepEqual(ok.delete && [ok.delete.deleted, ok.delete.status], [true, 200]);
+    assert.ok(report.errors.some(e => e.stage === 'download' && e.creationId === broken.id));
+
+    const html = fs.readFileSync(downloader.reportFiles.html, 'utf8');
+    assert.ok(html.includes(broken.id));
+  });
+});
+
+describe('session', () => {
+  test('an expired session fails the run and moves the session file aside', async () => {
+    await startServer({ creationCount: 1, variantsPerCreation: 1 });
+    server.expireSession();
+
+    await assert.rejects(createDownloader().run(), SessionExpiredError);
+    assert.ok(!fs.existsSync(path.join(workDir, 'session.json')));
+    assert.ok(fs.existsSync(path.join(workDir, 'session.expired.json')));
+    assert.equal(server.deleted.size, 0);
+  });
+});
+
+describe('watch mode', () => {
+  test('processes only new creations on each poll and stops cleanly', async () => {
+    await startServer({ creationCount: 2, variantsPerCreation: 1 });
+    const downloader = createDownloader({ deletePolicy: 'never', watchInterval: 20 });
+    const polls = [];
+    let added;
+    downloader.on(OptimizedDownloader.EVENTS.POLL_COMPLETE, e => {
+      polls.push(e);
+      if (e.poll === 2) added = server.addCreation();
+      if (e.poll === 4) downloader.stopWatching();
+    });
+
+    const totals = await downloader.watch();
+
+    assert.deepEqual(polls.map(p => [p.listed, p.fresh]), [[2, 2], [2, 0], [3, 1], [3, 0]]);
+    assert.deepEqual(totals, { polls: 4, assetsProcessed: 3, filesDownloaded: 3, assetsDeleted: 0 });
+    assert.equal(downloadedGlbs().length, 3);
+    assert.equal(fileRequests(added.id).length, 1);
+
+    const state = JSON.parse(fs.readFileSync(path.join(workDir, 'state.json'), 'utf8'));
+    assert.deepEqual(Object.keys(state.seenCreations).sort(), server.creations.map(c => c.id).sort());
+    // Only the polls that processed something leave a report
+    assert.equal(fs.readdirSync(path.join(workDir, 'reports')).length, 2);
+  });
+
+  test('a limit picks the next unseen creations on each poll', async () => {
+    await startServer({ creationCount: 3, variantsPerCreation: 1 });
+    const downloader = createDownloader({ deletePolicy: 'never', watchInterval: 10, selection: { limit: 1 } });
+    const polls = [];
+    downloader.on(OptimizedDownloader.EVENTS.POLL_COMPLETE, e => {
+      polls.push(e.fresh);
+      if (e.poll === 4) downloader.stopWatching();
+    });
+
+    const totals = await downloader.watch();
+
+    assert.deepEqual(polls, [1, 1, 1, 0]);
+    assert.equal(totals.filesDownloaded, 3);
+    assert.equal(downloadedGlbs().length, 3);
+  });
+
+  test('backs off after failed polls and recovers', async () => {
+    await startServer({ creationCount: 1, variantsPerCreation: 1 });
+    server.failList({ times: 2 });
+    const downloader = createDownloader({ watchInterval: 10, watchMaxBackoff: 30 });
+    const errors = [];
+    const started = Date.now();
+    downloader.on(OptimizedDownloader.EVENTS.ERROR, e => errors.push(e));
+    downloader.on(OptimizedDownloader.EVENTS.POLL_COMPLETE, () => downloader.stopWatching());
+
+    const totals = await downloader.watch();
+
+    assert.equal(totals.polls, 3);
+    assert.equal(totals.filesDownloaded, 1);
+    assert.equal(server.deleted.size, 1);
+    assert.deepEqual(errors.map(e => e.stage), ['watch', 'watch']);
+    // 20ms after the first failure, then capped at 30ms
+    assert.ok(Date.now() - started >= 50);
+  });
+
+  test('retries an incomplete creation for a few polls, then gives up', async () => {
+    await startServer({ creationCount: 1, variantsPerCreation: 1 });
+    const [creation] = server.creations;
+    server.fail(creation.id, 'error', { times: Infinity });
+    const downloader = createDownloader({ watchInterval: 10 });
+    const polls = [];
+    downloader.on(OptimizedDownloader.EVENTS.POLL_COMPLETE, e => {
+      polls.push(e.fresh);
+      if (e.poll === 4) downloader.stopWatching();
+    });
+
+    await downloader.watch();
+
+    assert.deepEqual(polls, [1, 1, 1, 0]);
+    assert.equal(server.deleted.size, 0);
+    const state = JSON.parse(fs.readFileSync(path.join(workDir, 'state.json'), 'utf8'));
+    assert.ok(state.seenCreations[creation.id]);
+  });
+
+  test('stops with an error when the session expires', async () => {
+    await startServer({ creationCount: 1, variantsPerCreation: 1 });
+    const downloader = createDownloader({ deletePolicy: 'never', watchInterval: 10 });
+    downloader.on(OptimizedDownloader.EVENTS.POLL_COMPLETE, () => server.expireSession());
+
+    await assert.rejects(downloader.watch(), SessionExpiredError);
+    assert.ok(fs.existsSync(path.join(workDir, 'session.expired.json')));
+    assert.equal(downloader.watching, false);
+  });
+});
+
+describe('browser mode', { skip: !hasChromium() && 'Playwright Chromium is not installed' }, () => {
+  test('collects the list from the assets page and deletes through the page', async () => {
+    await startServer({ creationCount: 25, variantsPerCreation: 1 });
+    const summary = await createDownloader({ mode: 'browser' }).run();
+
+    assert.equal(summary.assetsProcessed, 25);
+    assert.equal(summary.assetsDeleted, 25);
+    assert.equal(server.deleted.size, 25);
+  });
+});
@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { Document, NodeIO } = require('@gltf-transform/core');
+const { optimizeGlb, resolvePreset, describePreset, ConversionError } = require('../glb-optimizer');
+const { validateFile } = require('../validator');
+
+const quiet = { debug() {}, warn() {}, error() {} };
+let tmpDir;
+let input;
+
+// A textured quad: two triangles sharing an edge, with a 64x64 PNG texture
+async function buildTexturedGlb(file) {
+  const doc = new Document();
+  const buffer = doc.createBuffer();
+  const position = doc.createAccessor().setType('VEC3').setBuffer(buffer)
+    .setArray(new Float32Array([0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 0, 0, 1, 1, 0, 0, 1, 0]));
+  const uv = doc.createAccessor().setType('VEC2').setBuffer(buffer)
+    .setArray(new Float32Array([0, 0, 1, 0, 1, 1, 0, 0, 1, 1, 0, 1]));
+  // A gradient: prune() would fold a single-colour texture into the material
+  const pixels = Buffer.alloc(64 * 64 * 3, 0).map((_, i) => (i * 7) % 256);
+  const png = await sharp(pixels, { raw: { width: 64, height: 64, channels: 3 } }).png().toBuffer();
+  const texture = doc.createTexture('base').setImage(png).setMimeType('image/png');
+  const material = doc.createMaterial().setBaseColorTexture(texture);
+  const prim = doc.createPrimitive().setAttribute('POSITION', position).setAttribute('TEXCOORD_0', uv).setMaterial(material);
+  doc.createScene().addChild(doc.createNode().setMesh(doc.createMesh().addPrimitive(prim)));
+  fs.writeFileSync(file, await new NodeIO().writeBinary(doc));
+}
+
+// The JSON chunk of a GLB, plus its first image's bytes
+function readGlb(file) {
+  const data = fs.readFileSync(file);
+  const jsonLength = data.readUInt32LE(12);
+  const json = JSON.parse(data.subarray(20, 20 + jsonLength).toString('utf8'));
+  const bin = data.subarray(20 + jsonLength + 8);
+  const image = json.images && json.images[0];
+  const view = image && json.bufferViews[image.bufferView];
+  return { json, image: view ? bin.subarray(view.byteOffset || 0, (view.byteOffset || 0) + view.byteLength) : null };
+}
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usdz-optimize-'));
+  input = path.join(tmpDir, 'input.glb');
+  await buildTexturedGlb(input);
+});
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('web-tiny: WebP textures and Draco meshes', async () => {
+  const output = path.join(tmpDir, 'tiny.glb');
+  const result = await optimizeGlb(input, output, 'web-tiny', { log: quiet });
+
+  assert.equal(result.preset, 'web-tiny');
+  assert.equal(result.sizeIn, fs.statSync(input).size);
+  assert.equal(result.sizeOut, fs.statSync(output).size);
+  const { json } = readGlb(output);
+  assert.ok(json.extensionsUsed.includes('KHR_draco_mesh_compression'));
+  assert.equal(json.images[0].mimeType, 'image/webp');
+  assert.ok(!fs.existsSync(output + '.tmp'));
+});
+
+test('web-hq: meshopt compression', async () => {
+  const output = path.join(tmpDir, 'hq.glb');
+  await optimizeGlb(input, output, 'web-hq', { log: quiet });
+
+  const { json } = readGlb(output);
+  assert.ok(json.extensionsUsed.includes('EXT_meshopt_compression'));
+  assert.ok(!json.extensionsUsed.includes('KHR_draco_mesh_compression'));
+  // meshopt adds a fallback buffer with no data of its own
+  assert.ok((await validateFile(output, { format: 'glb' })).ok);
+});
+
+test('archive keeps textures and vertices as they are', async () => {
+  const output = path.join(tmpDir, 'archive.glb');
+  await optimizeGlb(input, output, 'archive', { log: quiet });
+
+  const { json, image } = readGlb(output);
+  assert.equal(json.extensionsUsed, undefined);
+  assert.equal(json.images[0].mimeType, 'image/png');
+  assert.equal(json.accessors[json.meshes[0].primitives[0].attributes.POSITION].count, 6);
+  assert.equal((await sharp(image).metadata()).width, 64);
+});
+
+test('a preset can be adjusted', async () => {
+  const output = path.join(tmpDir, 'small-textures.glb');
+  const preset = resolvePreset({ preset: 'archive', maxTextureSize: 16 });
+  await optimizeGlb(input, output, preset, { log: quiet });
+
+  const { json, image } = readGlb(output);
+  assert.equal(json.images[0].mimeType, 'image/png');
+  assert.equal((await sharp(image).metadata()).width, 16);
+  assert.equal(describePreset(preset), 'archive (≤16px)');
+  assert.equal(describePreset(resolvePreset()), 'web-tiny (WebP q15, Draco, weld, simplify)');
+});
+
+test('rejects unknown presets and settings', () => {
+  assert.throws(() => resolvePreset('web-huge'), /Unknown conversion preset "web-huge"/);
+  assert.throws(() => resolvePreset({ preset: 'web-hq', compression: 'zip' }), /Unknown mesh compression/);
+  assert.throws(() => resolvePreset({ textureQuality: 0 }), /Invalid texture quality/);
+  assert.throws(() => resolvePreset({ textureFormat: 'ktx2' }), /Unknown texture format/);
+});
+
+test('fails with the stage that broke and leaves no output', async () => {
+  const broken = path.join(tmpDir, 'broken.glb');
+  const output = path.join(tmpDir, 'broken-out.glb');
+  fs.writeFileSync(broken, 'not a glb');
+
+  await assert.rejects(optimizeGlb(broken, output, 'web-tiny', { log: quiet }), (err) => {
+    assert.ok(err instanceof ConversionError);
+    assert.equal(err.stage, 'read');
+    assert.equal(err.inputPath, broken);
+    assert.match(err.message, /^read failed: /);
+    return true;
+  });
+  assert.ok(!fs.existsSync(output));
+});
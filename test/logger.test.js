@@ -0,0 +1,69 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Logger } = require('../logger');
+
+function capture() {
+  const lines = [];
+  return { lines, stream: { write: text => lines.push(text.replace(/\n$/, '')) } };
+}
+
+let tmpDir;
+afterEach(() => {
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  tmpDir = null;
+});
+
+test('formats console lines with component and asset context', () => {
+  const out = capture();
+  const root = new Logger().configure({ stream: out.stream, errorStream: out.stream });
+  const log = root.child({ component: 'Download', creationId: 'abcdef1234567890' });
+
+  log.info('started');
+  log.child({ variant: 2, format: 'glb' }).warn('retrying');
+
+  assert.deepEqual(out.lines, [
+    '[Download abcdef12] started',
+    'WARN [Download abcdef12 v2/glb] retrying',
+  ]);
+});
+
+test('filters the console by level', () => {
+  const out = capture();
+  const err = capture();
+  const log = new Logger().configure({ level: 'warn', stream: out.stream, errorStream: err.stream }).child({ component: 'X' });
+
+  log.debug('hidden');
+  log.info('hidden');
+  log.warn('shown');
+  log.error('shown too');
+
+  assert.deepEqual(out.lines, []);
+  assert.equal(err.lines.length, 2);
+  assert.throws(() => new Logger().configure({ level: 'loud' }), /Unknown log level/);
+});
+
+test('writes every level to the run file with run id and context', () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usdz-log-'));
+  const out = capture();
+  const root = new Logger().configure({ level: 'silent', stream: out.stream, errorStream: out.stream });
+  const runId = root.startRun({ logsDir: tmpDir });
+  const log = root.child({ component: 'Delete', creationId: 'c1' });
+
+  log.debug('checking');
+  log.error('failed', { status: 500, error: new Error('boom') });
+  root.endRun();
+  log.info('after the run');
+
+  const records = fs.readFileSync(path.join(tmpDir, `${runId}.jsonl`), 'utf8').trim().split('\n').map(JSON.parse);
+  assert.equal(records.length, 2);
+  assert.deepEqual(records.map(r => [r.level, r.runId, r.component, r.creationId, r.msg]), [
+    ['debug', runId, 'Delete', 'c1', 'checking'],
+    ['error', runId, 'Delete', 'c1', 'failed'],
+  ]);
+  assert.equal(records[1].status, 500);
+  assert.deepEqual(records[1].error, { name: 'Error', message: 'boom' });
+  assert.deepEqual(out.lines, []);
+});
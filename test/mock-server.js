@@ -0,0 +1,413 @@
+const http = require('http');
+
+const LIST_PATH = '/api/3d/creations/list';
+const DELETE_PATH = '/api/3d/creations/delete';
+const SESSION_COOKIE = 'mock_session';
+const FAILURE_MODES = ['timeout', 'redirect', 'truncate', 'error'];
+
+// 1x1 transparent PNG, served as the texture an MTL references
+const PNG_BYTES = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64',
+);
+
+/**
+ * A single-triangle glTF 2.0 binary. The label goes into asset.extras so
+ * every creation gets distinct bytes (and so a distinct sha256).
+ */
+function buildGlb(label = 'mock') {
+  const positions = Buffer.alloc(36);
+  [0, 0, 0, 1, 0, 0, 0, 1, 0].forEach((v, i) => positions.writeFloatLE(v, i * 4));
+
+  const gltf = {
+    asset: { version: '2.0', generator: 'usdz-downloader mock server', extras: { label } },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0 }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0 } }] }],
+    accessors: [{ bufferView: 0, componentType: 5126, count: 3, type: 'VEC3', min: [0, 0, 0], max: [1, 1, 0] }],
+    bufferViews: [{ buffer: 0, byteOffset: 0, byteLength: positions.length }],
+    buffers: [{ byteLength: positions.length }],
+  };
+
+  let json = Buffer.from(JSON.stringify(gltf), 'utf8');
+  json = Buffer.concat([json, Buffer.alloc((4 - (json.length % 4)) % 4, 0x20)]);
+
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(0x46546c67, 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(12 + 8 + json.length + 8 + positions.length, 8);
+
+  const chunk = (type, data) => {
+    const h = Buffer.alloc(8);
+    h.writeUInt32LE(data.length, 0);
+    h.writeUInt32LE(type, 4);
+    return Buffer.concat([h, data]);
+  };
+  return Buffer.concat([header, chunk(0x4e4f534a, json), chunk(0x004e4942, positions)]);
+}
+
+function buildObj(name) {
+  return `mtllib ${name}.mtl\no ${name}\nv 0 0 0\nv 1 0 0\nv 0 1 0\nvt 0 0\nvt 1 0\nvt 0 1\nusemtl material0\nf 1/1 2/2 3/3\n`;
+}
+
+function buildMtl() {
+  return 'newmtl material0\nKd 1 1 1\nmap_Kd texture.png\n';
+}
+
+/**
+ * MockHunyuanServer - Local stand-in for 3d.hunyuan.tencent.com
+ *
+ * Serves what the downloader talks to: an assets page that renders the list
+ * like the real site does, creations/list in the real response format
+ * (offset/limit paging, optional padding for multi-megabyte bodies),
+ * creations/delete, and the model files each variant's urlResult points at.
+ * API calls need the session cookie from sessionState(); expireSession()
+ * makes them answer 401.
+ *
+ * File downloads can be made to misbehave with fail(match, mode, { times }):
+ * - timeout   accept the request and never answer
+ * - redirect  302 to the same file under /cdn/
+ * - truncate  promise the full Content-Length, send half, drop the connection
+ * - error     HTTP 500
+ *
+ * Everything the server sees is kept in `requests` and `deleted` for assertions.
+ */
+class MockHunyuanServer {
+  constructor(options = {}) {
+    this.creationCount = options.creationCount ?? 5;
+    this.variantsPerCreation = options.variantsPerCreation ?? 4;
+    // Failed generations show up in the list too; every Nth variant is one
+    this.failedVariantEvery = options.failedVariantEvery || 0;
+    // Bytes of filler per creation, for testing large list bodies
+    this.padding = options.padding || 0;
+    // Creations counted in totalCount that no page ever returns
+    this.unlisted = options.unlisted || 0;
+    this.sessionToken = options.sessionToken || 'mock-token';
+    this.creations = options.creations || this.generateCreations();
+    this.deleted = new Set();
+    this.failures = [];
+    this.listFailures = 0;
+    this.deleteFailures = 0;
+    this.requests = [];
+    this.sessionValid = true;
+    this.server = null;
+    this.sockets = new Set();
+    this.url = null;
+  }
+
+  generateCreations() {
+    const now = Date.now();
+    return Array.from({ length: this.creationCount }, (_, i) => this.buildCreation(i, now - i * 60 * 60 * 1000));
+  }
+
+  buildCreation(i, createTime) {
+    const id = `mock${String(i).padStart(4, '0')}-0000-4000-8000-${String(i).padStart(12, '0')}`;
+    return {
+      id,
+      title: `Mock creation ${i + 1}`,
+      createTime,
+      variants: Array.from({ length: this.variantsPerCreation }, (_, v) => ({
+        assetId: `${id}-r${v}`,
+        status: this.failedVariantEvery && (v + 1) % this.failedVariantEvery === 0 ? 'failed' : 'success',
+      })),
+    };
+  }
+
+  // A freshly generated creation, listed first like the real site does
+  addCreation() {
+    const creation = this.buildCreation(this.creations.length, Date.now());
+    this.creations.unshift(creation);
+    return creation;
+  }
+
+  async start(port = 0) {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.server.on('connection', (socket) => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', resolve);
+    });
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    // Hung 'timeout' requests would otherwise keep close() waiting
+    for (const socket of this.sockets) socket.destroy();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  get websiteUrl() {
+    return `${this.url}/assets`;
+  }
+
+  /**
+   * Playwright storage state that logs in to this server; write it to the
+   * downloader's sessionFile
+   */
+  sessionState() {
+    return {
+      cookies: [{
+        name: SESSION_COOKIE,
+        value: this.sessionToken,
+        domain: '127.0.0.1',
+        path: '/',
+        expires: -1,
+        httpOnly: true,
+        secure: false,
+        sameSite: 'Lax',
+      }],
+      origins: [],
+    };
+  }
+
+  expireSession() {
+    this.sessionValid = false;
+  }
+
+  /**
+   * Make file requests whose path contains `match` misbehave `times` times
+   * (Infinity for every request)
+   */
+  fail(match, mode, { times = 1 } = {}) {
+    if (!FAILURE_MODES.includes(mode)) {
+      throw new Error(`Unknown failure mode "${mode}" (expected ${FAILURE_MODES.join(', ')})`);
+    }
+    this.failures.push({ match, mode, remaining: times });
+  }
+
+  // Answer the next `times` list requests with HTTP 500
+  failList({ times = 1 } = {}) {
+    this.listFailures += times;
+  }
+
+  // Answer the next `times` delete requests with HTTP 500
+  failDelete({ times = 1 } = {}) {
+    this.deleteFailures += times;
+  }
+
+  remaining() {
+    return this.creations.filter(c => !this.deleted.has(c.id));
+  }
+
+  fileUrls(creation, variant) {
+    const base = `${this.url}/files/${creation.id}/${variant.assetId}`;
+    return {
+      glb: `${base}/model.glb`,
+      obj: `${base}/${variant.assetId}.obj`,
+      mtl: `${base}/${variant.assetId}.mtl`,
+      geometryGlb: `${base}/geometry.glb`,
+      textureGlb: `${base}/texture.glb`,
+    };
+  }
+
+  // One creation the way creations/list returns it
+  listEntry(creation) {
+    const entry = {
+      id: creation.id,
+      title: creation.title,
+      createTime: creation.createTime,
+      result: creation.variants.map(variant => ({
+        assetId: variant.assetId,
+        status: variant.status,
+        urlResult: variant.status === 'success' ? this.fileUrls(creation, variant) : {},
+      })),
+    };
+    if (this.padding) entry.prompt = 'x'.repeat(this.padding);
+    return entry;
+  }
+
+  isAuthenticated(req) {
+    if (!this.sessionValid) return false;
+    const cookies = Object.fromEntries((req.headers.cookie || '').split(/;\s*/).filter(Boolean)
+      .map(pair => [pair.slice(0, pair.indexOf('=')), pair.slice(pair.indexOf('=') + 1)]));
+    return cookies[SESSION_COOKIE] === this.sessionToken;
+  }
+
+  handle(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, this.url);
+      const body = Buffer.concat(chunks).toString('utf8');
+      this.requests.push({ method: req.method, path: url.pathname, headers: req.headers, body });
+
+      if (url.pathname === '/assets') return this.serveAssetsPage(res);
+      if (url.pathname === LIST_PATH || url.pathname === DELETE_PATH) {
+        if (!this.isAuthenticated(req)) return this.json(res, 401, { code: 401, msg: 'not logged in' });
+        let payload = {};
+        try {
+          payload = body ? JSON.parse(body) : {};
+        } catch {
+          return this.json(res, 400, { code: 400, msg: 'bad json' });
+        }
+        if (url.pathname === LIST_PATH && this.listFailures > 0) {
+          this.listFailures--;
+          return this.json(res, 500, { code: 500, msg: 'internal error' });
+        }
+        if (url.pathname === DELETE_PATH && this.deleteFailures > 0) {
+          this.deleteFailures--;
+          return this.json(res, 500, { code: 500, msg: 'internal error' });
+        }
+        return url.pathname === LIST_PATH ? this.serveList(res, payload) : this.serveDelete(res, payload);
+      }
+      if (url.pathname.startsWith('/files/') || url.pathname.startsWith('/cdn/')) {
+        return this.serveFile(req, res, url.pathname);
+      }
+      res.writeHead(404);
+      res.end('not found');
+    });
+  }
+
+  json(res, status, payload) {
+    const text = JSON.stringify(payload);
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text) });
+    res.end(text);
+  }
+
+  serveList(res, { offset = 0, limit = 20 }) {
+    const remaining = this.remaining();
+    const page = remaining.slice(Number(offset), Number(offset) + Number(limit));
+    this.json(res, 200, { totalCount: remaining.length + this.unlisted, creations: page.map(c => this.listEntry(c)) });
+  }
+
+  serveDelete(res, { creationsIdList = [] }) {
+    for (const id of creationsIdList) {
+      if (this.creations.some(c => c.id === id)) this.deleted.add(id);
+    }
+    this.json(res, 200, { code: 0, msg: 'ok' });
+  }
+
+  fileBody(pathname) {
+    // /files/<creationId>/<assetId>/<name>
+    const [, , creationId, assetId, name] = pathname.split('/');
+    const creation = this.creations.find(c => c.id === creationId);
+    const variant = creation && creation.variants.find(v => v.assetId === assetId && v.status === 'success');
+    if (!variant || this.deleted.has(creationId)) return null;
+
+    if (name.endsWith('.glb')) return buildGlb(`${creation.title} ${assetId} ${name}`);
+    if (name.endsWith('.obj')) return Buffer.from(buildObj(assetId));
+    if (name.endsWith('.mtl')) return Buffer.from(buildMtl());
+    if (name === 'texture.png') return PNG_BYTES;
+    return null;
+  }
+
+  serveFile(req, res, pathname) {
+    // Only the original URL misbehaves, so a redirect target always answers
+    const failure = pathname.startsWith('/files/') && this.failures.find(f => f.remaining > 0 && pathname.includes(f.match));
+    if (failure) {
+      failure.remaining--;
+      switch (failure.mode) {
+        case 'timeout':
+          return; // never answer; stop() destroys the socket
+        case 'redirect':
+          res.writeHead(302, { Location: pathname.replace(/^\/files\//, '/cdn/') });
+          return res.end();
+        case 'error':
+          res.writeHead(500);
+          return res.end('internal error');
+        case 'truncate': {
+          const data = this.fileBody(pathname.replace(/^\/cdn\//, '/files/'));
+          if (!data) break;
+          res.writeHead(200, { 'Content-Length': data.length, 'Accept-Ranges': 'bytes' });
+          res.write(data.subarray(0, Math.floor(data.length / 2)));
+          return setTimeout(() => res.destroy(), 20);
+        }
+      }
+    }
+
+    const data = this.fileBody(pathname.replace(/^\/cdn\//, '/files/'));
+    if (!data) {
+      res.writeHead(404);
+      return res.end('not found');
+    }
+
+    const contentType = pathname.endsWith('.glb') ? 'model/gltf-binary' : pathname.endsWith('.png') ? 'image/png' : 'text/plain';
+    const range = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+    if (range) {
+      const start = Number(range[1]);
+      if (start >= data.length) {
+        res.writeHead(416, { 'Content-Range': `bytes */${data.length}` });
+        return res.end();
+      }
+      res.writeHead(206, {
+        'Content-Type': contentType,
+        'Content-Length': data.length - start,
+        'Content-Range': `bytes ${start}-${data.length - 1}/${data.length}`,
+      });
+      return res.end(data.subarray(start));
+    }
+
+    res.writeHead(200, { 'Content-Type': contentType, 'Content-Length': data.length, 'Accept-Ranges': 'bytes' });
+    res.end(req.method === 'HEAD' ? undefined : data);
+  }
+
+  // A page that loads the list the way the real app does, rendering one
+  // role=listitem per creation and loading the next page on scroll
+  serveAssetsPage(res) {
+    const html = `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>Mock assets</title></head>
+<body>
+<ul id="list" style="height: 400px; overflow: auto"></ul>
+<script>
+  const list = document.getElementById('list');
+  let offset = 0;
+  let total = Infinity;
+  let loading = false;
+  async function loadPage() {
+    if (loading || offset >= total) return;
+    loading = true;
+    const res = await fetch('${LIST_PATH}', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ offset, limit: 20 }),
+    });
+    if (res.ok) {
+      const data = await res.json();
+      total = data.totalCount;
+      offset += data.creations.length;
+      for (const c of data.creations) {
+        const li = document.createElement('li');
+        li.setAttribute('role', 'listitem');
+        li.style.height = '60px';
+        li.textContent = c.title;
+        list.appendChild(li);
+      }
+    }
+    loading = false;
+  }
+  list.addEventListener('scroll', () => {
+    if (list.scrollTop + list.clientHeight >= list.scrollHeight - 10) loadPage();
+  });
+  window.addEventListener('wheel', loadPage);
+  loadPage();
+</script>
+</body>
+</html>`;
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Length': Buffer.byteLength(html) });
+    res.end(html);
+  }
+}
+
+module.exports = MockHunyuanServer;
+module.exports.buildGlb = buildGlb;
+
+// Standalone: node test/mock-server.js [port] [session-file]
+// Serves until interrupted. Write the session into a profile, e.g.
+// profiles/mock/browser-session.json, then run with --profile mock --url <assets url>.
+if (require.main === module) {
+  const [port = 0, sessionFile] = process.argv.slice(2);
+  new MockHunyuanServer({ creationCount: 30 }).start(Number(port)).then((mock) => {
+    if (sessionFile) require('fs').writeFileSync(sessionFile, JSON.stringify(mock.sessionState(), null, 2));
+    console.log(`[Mock] Serving ${mock.creations.length} creations at ${mock.websiteUrl}`);
+    if (sessionFile) console.log(`[Mock] Session written to ${sessionFile}`);
+    process.on('SIGINT', () => mock.stop().then(() => process.exit(0)));
+  });
+}
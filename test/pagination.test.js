@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectPaging, buildPageRequest, collectRemainingPages } = require('../pagination');
+
+const template = { url: 'https://example.com/api/list', method: 'POST', body: { offset: 0, limit: 2 } };
+const creations = n => Array.from({ length: n }, (_, i) => ({ id: `c${i}` }));
+
+// A fake list API over `all`, recording the requests it was sent
+function server(all, { totalCount = all.length, ignoreOffset = false } = {}) {
+  const requests = [];
+  const fetchPage = async (request) => {
+    requests.push(request);
+    const offset = ignoreOffset ? 0 : request.body.offset;
+    return { creations: all.slice(offset, offset + request.body.limit), totalCount };
+  };
+  return { requests, fetchPage };
+}
+
+function firstPage(all, size = 2) {
+  return new Map(all.slice(0, size).map(c => [c.id, c]));
+}
+
+test('detects offset and page styles from a body or query string', () => {
+  assert.deepEqual(detectPaging({ offset: 0, limit: 20 }), { style: 'offset', key: 'offset', sizeKey: 'limit', pageSize: 20, first: 0 });
+  assert.deepEqual(detectPaging({ pageNo: '1', pageSize: '10' }), { style: 'page', key: 'pageNo', sizeKey: 'pageSize', pageSize: 10, first: 1 });
+  assert.equal(detectPaging({ filter: 'all' }), null);
+
+  const request = buildPageRequest({ url: 'https://example.com/list?page=1&size=5' }, detectPaging({ page: '1', size: '5' }), 2, 10);
+  assert.equal(request.url, 'https://example.com/list?page=3&size=5');
+});
+
+test('stops once totalCount is reached, even on a short last page', async () => {
+  const all = creations(5);
+  const { requests, fetchPage } = server(all);
+  const collected = firstPage(all);
+
+  const complete = await collectRemainingPages({ template, totalCount: 5, collected, fetchPage });
+
+  assert.equal(complete, true);
+  assert.equal(collected.size, 5);
+  assert.deepEqual(requests.map(r => r.body.offset), [2, 4]);
+});
+
+test('without a totalCount, walks pages until one adds nothing', async () => {
+  const all = creations(5);
+  const { requests, fetchPage } = server(all, { totalCount: null });
+  const collected = firstPage(all);
+
+  const complete = await collectRemainingPages({ template, totalCount: null, collected, fetchPage });
+
+  assert.equal(complete, true);
+  assert.equal(collected.size, 5);
+  assert.deepEqual(requests.map(r => r.body.offset), [2, 4, 6]);
+});
+
+test('reports an incomplete list when the server stops short of totalCount', async () => {
+  const all = creations(3);
+  const { fetchPage } = server(all, { totalCount: 10 });
+  const collected = firstPage(all);
+  const lines = [];
+
+  const complete = await collectRemainingPages({ template, totalCount: 10, collected, fetchPage, log: msg => lines.push(msg) });
+
+  assert.equal(complete, false);
+  assert.equal(collected.size, 3);
+  assert.deepEqual(lines, ['Page 2: +1 (3/10)', 'Page 3: +0 (3/10)']);
+});
+
+test('gives up when the server keeps answering with the same page', async () => {
+  const all = creations(6);
+  const { requests, fetchPage } = server(all, { ignoreOffset: true });
+  const collected = firstPage(all);
+
+  const complete = await collectRemainingPages({ template, totalCount: 6, collected, fetchPage });
+
+  assert.equal(complete, false);
+  assert.equal(collected.size, 2);
+  assert.equal(requests.length, 1);
+});
+
+test('cannot page a request without paging fields', async () => {
+  const { requests, fetchPage } = server(creations(4));
+  const lines = [];
+  const complete = await collectRemainingPages({
+    template: { url: 'https://example.com/api/list', body: { filter: 'all' } },
+    totalCount: 4,
+    collected: firstPage(creations(4)),
+    fetchPage,
+    log: msg => lines.push(msg),
+  });
+
+  assert.equal(complete, false);
+  assert.equal(requests.length, 0);
+  assert.match(lines[0], /No paging fields/);
+});
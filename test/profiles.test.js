@@ -0,0 +1,57 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listProfiles, profileDir, profileOptions, createProfile } = require('../profiles');
+
+let profilesDir;
+beforeEach(() => {
+  profilesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usdz-profiles-'));
+});
+afterEach(() => fs.rmSync(profilesDir, { recursive: true, force: true }));
+
+test('lists profile directories by name, skipping anything else', () => {
+  assert.deepEqual(listProfiles({ profilesDir: path.join(profilesDir, 'none') }), []);
+  createProfile('work', {}, { profilesDir });
+  createProfile('home', {}, { profilesDir });
+  fs.mkdirSync(path.join(profilesDir, '.hidden'));
+  fs.writeFileSync(path.join(profilesDir, 'notes.txt'), '');
+
+  assert.deepEqual(listProfiles({ profilesDir }), ['home', 'work']);
+  assert.throws(() => createProfile('work', {}, { profilesDir }), /Profile "work" already exists/);
+});
+
+test('a profile keeps its files in its own directory; profile.json and then flags override', () => {
+  const dir = createProfile('work', { formats: ['obj'], deletePolicy: 'never', downloadsDir: 'models' }, { profilesDir });
+  const options = profileOptions('work', { deletePolicy: 'after-convert', formats: undefined }, { profilesDir });
+
+  assert.equal(options.profile, 'work');
+  assert.equal(options.cacheDir, dir);
+  assert.equal(options.sessionFile, path.join(dir, 'browser-session.json'));
+  assert.equal(options.manifestFile, path.join(dir, 'library-manifest.json'));
+  assert.equal(options.downloadsDir, path.join(dir, 'models'));
+  assert.equal(options.convertedDir, path.join(dir, 'converted'));
+  assert.deepEqual(options.formats, ['obj']);
+  assert.equal(options.deletePolicy, 'after-convert');
+});
+
+test('profile.json cannot move the profile\'s own state files', () => {
+  const dir = createProfile('work', { sessionFile: '/tmp/elsewhere.json', profile: 'other' }, { profilesDir });
+  const options = profileOptions('work', {}, { profilesDir });
+  assert.equal(options.sessionFile, path.join(dir, 'browser-session.json'));
+  assert.equal(options.profile, 'work');
+});
+
+test('rejects bad names, unknown profiles and broken profile.json', () => {
+  for (const name of ['', '../up', 'a/b', '-dash', 'sp ace']) {
+    assert.throws(() => profileDir(name, { profilesDir }), /Invalid profile name/);
+  }
+  assert.throws(() => profileOptions('missing', {}, { profilesDir }), /Profile "missing" does not exist/);
+
+  const dir = createProfile('broken', {}, { profilesDir });
+  fs.writeFileSync(path.join(dir, 'profile.json'), '{ formats: glb');
+  assert.throws(() => profileOptions('broken', {}, { profilesDir }), /Invalid profile\.json for profile "broken"/);
+  fs.writeFileSync(path.join(dir, 'profile.json'), '["glb"]');
+  assert.throws(() => profileOptions('broken', {}, { profilesDir }), /expected a JSON object/);
+});
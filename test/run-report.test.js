@@ -0,0 +1,68 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RunReport = require('../run-report');
+
+let tmpDir;
+afterEach(() => {
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  tmpDir = null;
+});
+
+function sampleReport() {
+  const report = new RunReport({ runId: 'run-1', command: 'download', mode: 'api', provider: 'hunyuan' });
+  report.recordFile('c1', { variant: 1, format: 'glb', filename: 'a/v1/x.glb', status: 'downloaded', bytes: 1000, size: 1500, resumedFrom: 500 });
+  report.recordFile('c1', { variant: 2, format: 'glb', filename: 'a/v2/y.glb', status: 'exists', size: 800 });
+  report.recordOutcome('c1', 'Cat', 'downloaded');
+  report.recordDelete('c1', { deleted: true, status: 200 });
+  report.recordFile('c2', { variant: 1, format: 'glb', filename: 'b/v1/z.glb', status: 'failed', error: 'timeout' });
+  report.recordFile('c2', { variant: 1, format: 'glb', filename: 'b/v1/z.glb', status: 'failed', error: 'HTTP 500' });
+  report.recordOutcome('c2', '<Dog>', 'failed');
+  report.recordError('download', new Error('HTTP 500'), { creationId: 'c2' });
+  report.recordConversion({ filename: 'a/v1/x.glb', ok: true, sizeIn: 1500, sizeOut: 300 });
+  report.recordConversion({ filename: 'a/v2/y.glb', ok: false, error: 'webp exit 1' });
+  return report;
+}
+
+test('totals files, bytes, deletes, conversions and errors', () => {
+  const data = sampleReport().finish({ status: 'completed' });
+
+  assert.equal(data.status, 'completed');
+  assert.ok(data.finishedAt && data.durationMs >= 0);
+  assert.deepEqual(data.totals, {
+    creations: 2,
+    filesDownloaded: 1,
+    filesExisting: 1,
+    filesFailed: 1,
+    bytesTransferred: 1000,
+    deleted: 1,
+    deleteFailed: 0,
+    converted: 1,
+    conversionFailed: 1,
+    bytesBeforeConversion: 1500,
+    bytesAfterConversion: 300,
+    errors: 1,
+  });
+  assert.deepEqual(data.creations.map(c => [c.id, c.title, c.outcome]), [['c1', 'Cat', 'downloaded'], ['c2', '<Dog>', 'failed']]);
+  assert.deepEqual(data.creations[1].files.map(f => [f.error, f.attempts]), [['HTTP 500', 2]]);
+});
+
+test('writes JSON and an escaped, self-contained HTML page', () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usdz-report-'));
+  const report = sampleReport();
+  report.finish({ status: 'failed', error: new Error('session expired') });
+  const written = report.write(tmpDir, { html: true });
+
+  assert.deepEqual(fs.readdirSync(tmpDir).sort(), ['run-1.html', 'run-1.json']);
+  const json = JSON.parse(fs.readFileSync(written.json, 'utf8'));
+  assert.equal(json.version, 1);
+  assert.equal(json.error, 'session expired');
+
+  const html = fs.readFileSync(written.html, 'utf8');
+  assert.ok(html.includes('&lt;Dog&gt;'));
+  assert.ok(!html.includes('<Dog>'));
+  assert.ok(html.includes('webp exit 1'));
+  assert.doesNotMatch(html, /<(script|link)\b|src="http/);
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CreationSelection = require('../selection');
+const { parseBound } = require('../selection');
+
+const HOUR = 60 * 60 * 1000;
+const now = Date.now();
+
+function creation(id, title, hoursAgo, variants = 1) {
+  return {
+    id,
+    title,
+    createdAt: hoursAgo === null ? null : now - hoursAgo * HOUR,
+    result: Array.from({ length: variants }, (_, v) => ({ assetId: `${id}-${v}` })),
+  };
+}
+
+const creations = [
+  creation('aaa1', 'Robot arm', 1, 4),
+  creation('bbb2', 'Tree stump', 30, 2),
+  creation('aaa3', 'Robot leg', 200, 1),
+  creation('ccc4', 'Client X chair', 5, 3),
+  creation('ddd5', 'Untimed', null, 4),
+];
+
+const ids = (selection) => new CreationSelection(selection).apply(creations).map(c => c.id);
+
+test('selects everything in list order by default', () => {
+  const selection = new CreationSelection();
+  assert.equal(selection.active, false);
+  assert.deepEqual(selection.apply(creations), creations);
+  assert.equal(selection.describe(), 'everything');
+});
+
+test('filters by id prefix, title and excluded title', () => {
+  assert.deepEqual(ids({ ids: ['aaa'] }), ['aaa1', 'aaa3']);
+  assert.deepEqual(ids({ ids: ['bbb2', 'ddd'] }), ['bbb2', 'ddd5']);
+  assert.deepEqual(ids({ title: 'robot' }), ['aaa1', 'aaa3']);
+  assert.deepEqual(ids({ excludeTitle: /^Client X/ }), ['aaa1', 'bbb2', 'aaa3', 'ddd5']);
+  assert.throws(() => new CreationSelection({ title: '(' }), /Invalid title pattern/);
+});
+
+test('filters by creation time and leaves out creations without one', () => {
+  assert.deepEqual(ids({ since: '1d' }), ['aaa1', 'ccc4']);
+  assert.deepEqual(ids({ until: '1d' }), ['bbb2', 'aaa3']);
+  assert.deepEqual(ids({ since: now - 48 * HOUR, until: new Date(now - 2 * HOUR) }), ['bbb2', 'ccc4']);
+  assert.throws(() => new CreationSelection({ since: 'last week' }), /Invalid since time/);
+  assert.throws(() => new CreationSelection({ since: '1d', until: '2d' }), /since is later than until/);
+});
+
+test('filters by successful variant count', () => {
+  assert.deepEqual(ids({ minVariants: 3 }), ['aaa1', 'ccc4', 'ddd5']);
+  assert.throws(() => new CreationSelection({ minVariants: 'many' }), /Invalid minVariants/);
+});
+
+test('orders, then limits', () => {
+  assert.deepEqual(ids({ order: 'newest' }), ['aaa1', 'ccc4', 'bbb2', 'aaa3', 'ddd5']);
+  assert.deepEqual(ids({ order: 'oldest', limit: 2 }), ['aaa3', 'bbb2']);
+  assert.deepEqual(ids({ order: 'title', title: 'r' }), ['ccc4', 'aaa1', 'aaa3', 'bbb2']);
+  assert.deepEqual(ids({ limit: 1, minVariants: 2 }), ['aaa1']);
+  assert.throws(() => new CreationSelection({ order: 'random' }), /Unknown order/);
+  assert.throws(() => new CreationSelection({ limit: 0 }), /Invalid limit/);
+});
+
+test('creations that are already done do not count against the limit', () => {
+  const selection = new CreationSelection({ limit: 2 });
+  const done = new Set(['aaa1', 'aaa3']);
+  const picked = selection.apply(creations, { isDone: c => done.has(c.id) }).map(c => c.id);
+  assert.deepEqual(picked, ['aaa1', 'bbb2', 'aaa3', 'ccc4']);
+});
+
+test('reads plain dates as whole local days', () => {
+  const start = parseBound('2026-03-29', 'since', false);
+  const end = parseBound('2026-03-29', 'until', true);
+  assert.equal(start, new Date(2026, 2, 29).getTime());
+  assert.equal(end, new Date(2026, 2, 30).getTime() - 1);
+  assert.equal(parseBound('2026-03-29T10:00:00Z', 'since', false), Date.UTC(2026, 2, 29, 10));
+  assert.equal(parseBound('12h', 'since', false, 100 * HOUR), 88 * HOUR);
+});
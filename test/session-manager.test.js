@@ -0,0 +1,37 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionManager = require('../session-manager');
+const { isSessionExpiredResponse } = require('../session-manager');
+const logger = require('../logger');
+
+let tmpDir;
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usdz-session-'));
+});
+afterEach(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+logger.configure({ level: 'silent' });
+
+test('only a 401 or a redirect to login means the session expired', () => {
+  assert.equal(isSessionExpiredResponse(401), true);
+  assert.equal(isSessionExpiredResponse(302, 'https://sso.example.com/authorize'), true);
+  assert.equal(isSessionExpiredResponse(403), false);
+  assert.equal(isSessionExpiredResponse(302, 'https://cdn.example.com/file.glb'), false);
+  assert.equal(isSessionExpiredResponse(500), false);
+});
+
+test('invalidate() moves the session aside unless read-only', () => {
+  const sessionFile = path.join(tmpDir, 'session.json');
+  fs.writeFileSync(sessionFile, '{}');
+
+  new SessionManager({ sessionFile, readOnly: true }).invalidate('test');
+  assert.equal(new SessionManager({ sessionFile }).status().state, 'saved');
+
+  const session = new SessionManager({ sessionFile });
+  session.invalidate('test');
+  assert.equal(session.status().state, 'expired');
+  assert.ok(fs.existsSync(path.join(tmpDir, 'session.expired.json')));
+});
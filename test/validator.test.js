@@ -0,0 +1,127 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateFile, validateGlb, validateObj, validateMtl } = require('../validator');
+
+let tmpDir;
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usdz-validate-'));
+});
+afterEach(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function write(name, data) {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, data);
+  return file;
+}
+
+function chunk(type, data, pad) {
+  const padded = Buffer.concat([data, Buffer.alloc((4 - (data.length % 4)) % 4, pad)]);
+  const header = Buffer.alloc(8);
+  header.writeUInt32LE(padded.length, 0);
+  header.writeUInt32LE(type, 4);
+  return Buffer.concat([header, padded]);
+}
+
+// A GLB from a glTF JSON object and optional BIN bytes; `header` overrides
+// the magic, version or declared length
+function glb(json, bin = null, header = {}) {
+  const chunks = [chunk(0x4e4f534a, Buffer.from(JSON.stringify(json)), 0x20)];
+  if (bin) chunks.push(chunk(0x004e4942, bin, 0));
+  const body = Buffer.concat(chunks);
+  const head = Buffer.alloc(12);
+  head.writeUInt32LE(header.magic ?? 0x46546c67, 0);
+  head.writeUInt32LE(header.version ?? 2, 4);
+  head.writeUInt32LE(header.length ?? 12 + body.length, 8);
+  return Buffer.concat([head, body]);
+}
+
+const asset = { version: '2.0' };
+const withBuffer = (byteLength, views = [{ buffer: 0, byteLength }]) => ({
+  asset,
+  meshes: [{}],
+  buffers: [{ byteLength }],
+  bufferViews: views,
+});
+
+test('a well-formed GLB passes with counts', () => {
+  const result = validateGlb(write('ok.glb', glb(withBuffer(16), Buffer.alloc(16))));
+  assert.deepEqual(result, { ok: true, details: { meshes: 1, materials: 0, images: 0 } });
+});
+
+test('GLB header problems are reported', () => {
+  const doc = withBuffer(16);
+  const bin = Buffer.alloc(16);
+  assert.match(validateGlb(write('short.glb', Buffer.alloc(10))).reason, /too short for GLB \(10 bytes\)/);
+  assert.equal(validateGlb(write('magic.glb', glb(doc, bin, { magic: 0x12345678 }))).reason, 'missing glTF magic');
+  assert.equal(validateGlb(write('v1.glb', glb(doc, bin, { version: 1 }))).reason, 'unsupported GLB version 1');
+  const data = glb(doc, bin);
+  assert.match(validateGlb(write('truncated.glb', data.subarray(0, data.length - 4))).reason, /header declares \d+ bytes but file has \d+/);
+});
+
+test('broken JSON and BIN chunks are reported', () => {
+  const notJson = Buffer.concat([Buffer.alloc(12), chunk(0x004e4942, Buffer.alloc(8), 0)]);
+  notJson.writeUInt32LE(0x46546c67, 0);
+  notJson.writeUInt32LE(2, 4);
+  notJson.writeUInt32LE(notJson.length, 8);
+  assert.equal(validateGlb(write('bin-first.glb', notJson)).reason, 'first chunk is not JSON');
+
+  const garbage = glb(asset);
+  garbage.write('{{', 20);
+  assert.match(validateGlb(write('garbage.glb', garbage)).reason, /JSON chunk does not parse/);
+  assert.equal(validateGlb(write('gltf1.glb', glb({ asset: { version: '1.0' } }))).reason, 'JSON chunk is not a glTF 2.0 document');
+
+  // BIN chunk header claims more bytes than the file holds
+  const cut = glb(withBuffer(16), Buffer.alloc(16));
+  cut.writeUInt32LE(64, cut.length - 16 - 8);
+  assert.equal(validateGlb(write('cut-bin.glb', cut)).reason, 'BIN chunk extends past end of file');
+});
+
+test('buffers and bufferViews must resolve to bytes that are there', () => {
+  assert.equal(validateGlb(write('no-bin.glb', glb(withBuffer(16)))).reason, 'buffer 0 refers to a missing BIN chunk');
+  assert.equal(validateGlb(write('small-bin.glb', glb(withBuffer(32), Buffer.alloc(16)))).reason,
+    'BIN chunk has 16 bytes, buffer 0 needs 32');
+  assert.equal(validateGlb(write('view.glb', glb(withBuffer(16, [{ buffer: 0, byteOffset: 8, byteLength: 16 }]), Buffer.alloc(16)))).reason,
+    'bufferView 0 extends past the end of buffer 0');
+  assert.equal(validateGlb(write('view-buffer.glb', glb(withBuffer(16, [{ buffer: 3, byteLength: 4 }]), Buffer.alloc(16)))).reason,
+    'bufferView 0 references missing buffer 3');
+  assert.equal(validateGlb(write('uri.glb', glb({ asset, buffers: [{ byteLength: 4, uri: 'missing.bin' }] }))).reason,
+    'buffer 0 uri not found: missing.bin');
+  assert.equal(validateGlb(write('length.glb', glb({ asset, buffers: [{}] }))).reason, 'buffer 0 has no byteLength');
+});
+
+test('OBJ faces must reference defined vertices', async () => {
+  const ok = await validateObj(write('ok.obj', 'mtllib model.mtl\nv 0 0 0\nv 1 0 0\nv 1 1 0\nvt 0 0\nf 1/1 2/1 -1/1\n'));
+  assert.deepEqual(ok, { ok: true, details: { vertices: 3, faces: 1, materialLibs: ['model.mtl'] } });
+
+  assert.equal((await validateObj(write('empty.obj', '# nothing\n'))).reason, 'no vertices');
+  assert.equal((await validateObj(write('nofaces.obj', 'v 0 0 0\n'))).reason, 'no faces');
+  assert.equal((await validateObj(write('range.obj', 'v 0 0 0\nv 1 0 0\nv 1 1 0\nf 1 2 4\n'))).reason,
+    'face 1 references an undefined vertex (4)');
+  assert.equal((await validateObj(write('uv.obj', 'v 0 0 0\nv 1 0 0\nv 1 1 0\nf 1/1 2/1 3/1\n'))).reason,
+    'face 1 references an undefined vertex (1/1)');
+  assert.equal((await validateObj(write('two.obj', 'v 0 0 0\nv 1 0 0\nf 1 2\n'))).reason, 'face 1 has fewer than 3 vertices');
+});
+
+test('MTL needs a material and lists texture references', async () => {
+  const ok = await validateMtl(write('ok.mtl', 'newmtl body\nmap_Kd -s 1 1 1 textures/body.png\nbump normal.png\n'));
+  assert.deepEqual(ok, { ok: true, details: { materials: ['body'], textures: ['textures/body.png', 'normal.png'] } });
+  assert.equal((await validateMtl(write('none.mtl', '# exported\nKd 1 1 1\n'))).reason, 'no newmtl definitions');
+  assert.match((await validateMtl(path.join(tmpDir, 'absent.mtl'))).reason, /ENOENT/);
+});
+
+test('validateFile checks presence and size, then picks a validator by extension or format', async () => {
+  assert.equal((await validateFile(path.join(tmpDir, 'model.mtl'))).reason, 'file missing');
+  assert.equal((await validateFile(write('zero.glb', ''))).reason, 'empty file');
+
+  const good = write('model.glb', glb(withBuffer(16), Buffer.alloc(16)));
+  assert.match((await validateFile(good, { expectedSize: 1 })).reason, /Content-Length was 1 bytes but \d+ were written/);
+  assert.equal((await validateFile(good)).ok, true);
+
+  // No telling extension: the API format decides
+  const noExt = write('geometry', Buffer.alloc(40));
+  assert.equal((await validateFile(noExt, { format: 'geometryGlb' })).reason, 'missing glTF magic');
+  assert.deepEqual(await validateFile(noExt, { format: 'usdz' }), { ok: true });
+});
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * Structural validation for downloaded model files.
+ *
+ * GLB: header magic/version/length, a JSON chunk that parses as glTF 2.0,
+ * and buffers/bufferViews that resolve to bytes actually present.
+ * OBJ/MTL: a line-level parse that checks faces reference real vertices
+ * and that the file defines something.
+ *
+ * Every validator returns { ok, reason?, details? } and never throws.
+ */
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const GLB_HEADER_BYTES = 12;
+const CHUNK_HEADER_BYTES = 8;
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+function readAt(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const read = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, read);
+}
+
+function fail(reason, details) {
+  return details ? { ok: false, reason, details } : { ok: false, reason };
+}
+
+/**
+ * Check that every buffer a glTF document declares can be resolved, and that
+ * bufferViews stay inside their buffers
+ */
+function checkBuffers(gltf, binChunkLength, baseDir) {
+  const buffers = gltf.buffers || [];
+
+  for (let i = 0; i < buffers.length; i++) {
+    const buffer = buffers[i];
+    if (!(buffer.byteLength >= 0)) return `buffer ${i} has no byteLength`;
+
+    // EXT_meshopt_compression fallback buffers have no data of their own;
+    // their bufferViews are decoded from the compressed buffer
+    const fallback = buffer.extensions && buffer.extensions.EXT_meshopt_compression
+      && buffer.extensions.EXT_meshopt_compression.fallback;
+    if (buffer.uri === undefined && fallback) continue;
+
+    if (buffer.uri === undefined) {
+      if (i !== 0) return `buffer ${i} has no uri (only buffer 0 may use the BIN chunk)`;
+      if (binChunkLength === null) return 'buffer 0 refers to a missing BIN chunk';
+      if (binChunkLength < buffer.byteLength) {
+        return `BIN chunk has ${binChunkLength} bytes, buffer 0 needs ${buffer.byteLength}`;
+      }
+    } else if (!buffer.uri.startsWith('data:')) {
+      const external = path.join(baseDir, decodeURIComponent(buffer.uri));
+      if (!fs.existsSync(external)) return `buffer ${i} uri not found: ${buffer.uri}`;
+      if (fs.statSync(external).size < buffer.byteLength) return `buffer ${i} file is shorter than byteLength`;
+    }
+  }
+
+  const views = gltf.bufferViews || [];
+  for (let i = 0; i < views.length; i++) {
+    const view = views[i];
+    const buffer = buffers[view.buffer];
+    if (!buffer) return `bufferView ${i} references missing buffer ${view.buffer}`;
+    if ((view.byteOffset || 0) + view.byteLength > buffer.byteLength) {
+      return `bufferView ${i} extends past the end of buffer ${view.buffer}`;
+    }
+  }
+
+  return null;
+}
+
+function validateGlb(filePath) {
+  let fd;
+  try {
+    const size = fs.statSync(filePath).size;
+    if (size < GLB_HEADER_BYTES + CHUNK_HEADER_BYTES) {
+      return fail(`file too short for GLB (${size} bytes)`);
+    }
+
+    fd = fs.openSync(filePath, 'r');
+    const header = readAt(fd, 0, GLB_HEADER_BYTES);
+    if (header.readUInt32LE(0) !== GLB_MAGIC) return fail('missing glTF magic');
+    const version = header.readUInt32LE(4);
+    if (version !== 2) return fail(`unsupported GLB version ${version}`);
+    const length = header.readUInt32LE(8);
+    if (length !== size) return fail(`header declares ${length} bytes but file has ${size} (truncated?)`);
+
+    const jsonHeader = readAt(fd, GLB_HEADER_BYTES, CHUNK_HEADER_BYTES);
+    const jsonLength = jsonHeader.readUInt32LE(0);
+    if (jsonHeader.readUInt32LE(4) !== CHUNK_JSON) return fail('first chunk is not JSON');
+    const jsonEnd = GLB_HEADER_BYTES + CHUNK_HEADER_BYTES + jsonLength;
+    if (jsonEnd > size) return fail('JSON chunk extends past end of file');
+
+    let gltf;
+    try {
+      gltf = JSON.parse(readAt(fd, GLB_HEADER_BYTES + CHUNK_HEADER_BYTES, jsonLength).toString('utf8'));
+    } catch (err) {
+      return fail(`JSON chunk does not parse: ${err.message}`);
+    }
+    if (!gltf.asset || typeof gltf.asset.version !== 'string' || !gltf.asset.version.startsWith('2.')) {
+      return fail('JSON chunk is not a glTF 2.0 document');
+    }
+
+    let binChunkLength = null;
+    if (jsonEnd + CHUNK_HEADER_BYTES <= size) {
+      const binHeader = readAt(fd, jsonEnd, CHUNK_HEADER_BYTES);
+      if (binHeader.readUInt32LE(4) === CHUNK_BIN) {
+        binChunkLength = binHeader.readUInt32LE(0);
+        if (jsonEnd + CHUNK_HEADER_BYTES + binChunkLength > size) {
+          return fail('BIN chunk extends past end of file');
+        }
+      }
+    }
+
+    const bufferError = checkBuffers(gltf, binChunkLength, path.dirname(filePath));
+    if (bufferError) return fail(bufferError);
+
+    return {
+      ok: true,
+      details: {
+        meshes: (gltf.meshes || []).length,
+        materials: (gltf.materials || []).length,
+        images: (gltf.images || []).length,
+      },
+    };
+  } catch (err) {
+    return fail(err.message);
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+async function readLines(filePath, onLine) {
+  const rl = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  for await (const line of rl) onLine(line.trim());
+}
+
+async function validateObj(filePath) {
+  try {
+    let vertices = 0;
+    let texcoords = 0;
+    let normals = 0;
+    let faces = 0;
+    let badFace = null;
+    const materialLibs = [];
+
+    const inRange = (ref, count) => {
+      if (ref === '' || ref === undefined) return true;
+      const n = parseInt(ref, 10);
+      if (Number.isNaN(n) || n === 0) return false;
+      return n > 0 ? n <= count : -n <= count;
+    };
+
+    await readLines(filePath, (line) => {
+      if (line.startsWith('v ')) vertices++;
+      else if (line.startsWith('vt ')) texcoords++;
+      else if (line.startsWith('vn ')) normals++;
+      else if (line.startsWith('mtllib ')) materialLibs.push(line.slice(7).trim());
+      else if (line.startsWith('f ')) {
+        faces++;
+        if (badFace) return;
+        const refs = line.slice(2).trim().split(/\s+/);
+        if (refs.length < 3) badFace = `face ${faces} has fewer than 3 vertices`;
+        for (const ref of refs) {
+          const [v, vt, vn] = ref.split('/');
+          if (!inRange(v, vertices) || !inRange(vt, texcoords) || !inRange(vn, normals)) {
+            badFace = `face ${faces} references an undefined vertex (${ref})`;
+            break;
+          }
+        }
+      }
+    });
+
+    if (vertices === 0) return fail('no vertices');
+    if (faces === 0) return fail('no faces');
+    if (badFace) return fail(badFace);
+    return { ok: true, details: { vertices, faces, materialLibs } };
+  } catch (err) {
+    return fail(err.message);
+  }
+}
+
+async function validateMtl(filePath) {
+  try {
+    const materials = [];
+    const textures = [];
+    await readLines(filePath, (line) => {
+      if (line.startsWith('newmtl ')) materials.push(line.slice(7).trim());
+      else if (/^(map_\w+|bump|disp|norm)\s/i.test(line)) {
+        // Texture path is the last token; options like -s 1 1 1 come first
+        textures.push(line.split(/\s+/).pop());
+      }
+    });
+
+    if (materials.length === 0) return fail('no newmtl definitions');
+    return { ok: true, details: { materials, textures } };
+  } catch (err) {
+    return fail(err.message);
+  }
+}
+
+function detectKind(filePath, format) {
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  if (['glb', 'obj', 'mtl'].includes(ext)) return ext;
+  if (/glb$/i.test(format || '')) return 'glb';
+  return (format || '').toLowerCase();
+}
+
+/**
+ * Validate a downloaded file.
+ *
+ * options.format        API format key (glb, obj, mtl, geometryGlb, ...) used when the extension is ambiguous
+ * options.expectedSize  HTTP Content-Length of the download, checked against the size on disk
+ */
+async function validateFile(filePath, options = {}) {
+  try {
+    if (!fs.existsSync(filePath)) return fail('file missing');
+    const size = fs.statSync(filePath).size;
+    if (size === 0) return fail('empty file');
+    if (options.expectedSize != null && size !== options.expectedSize) {
+      return fail(`Content-Length was ${options.expectedSize} bytes but ${size} were written`);
+    }
+
+    switch (detectKind(filePath, options.format)) {
+      case 'glb':
+        return validateGlb(filePath);
+      case 'obj':
+        return await validateObj(filePath);
+      case 'mtl':
+        return await validateMtl(filePath);
+      default:
+        return { ok: true };
+    }
+  } catch (err) {
+    return fail(err.message);
+  }
+}
+
+module.exports = { validateFile, validateGlb, validateObj, validateMtl };